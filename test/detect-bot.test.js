@@ -0,0 +1,36 @@
+// detectBot() on crawler UAs and on real devices whose names contain "bot".
+// node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const { detectBot } = require("../tracking.js");
+
+const crawlers = [
+  "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+  "Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)",
+  "Mozilla/5.0 (compatible; AhrefsBot/7.0; +http://ahrefs.com/robot/)",
+  "DuckDuckBot-Https/1.1; (+https://duckduckgo.com/duckduckbot)",
+  "Mozilla/5.0 (compatible; ExampleShopBot/1.0)",
+];
+
+const shoppers = [
+  "Mozilla/5.0 (Linux; Android 11; CUBOT_X19) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 10; CUBOT NOTE 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 12; Abbot) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 13; Robot-X1 Build/TP1A) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36",
+];
+
+crawlers.forEach((userAgent) => {
+  test("crawler: " + userAgent, () => {
+    const result = detectBot({ userAgent: userAgent });
+    assert.ok(result.botReasons.indexOf("crawler-ua") !== -1);
+  });
+});
+
+shoppers.forEach((userAgent) => {
+  test("shopper: " + userAgent, () => {
+    assert.deepStrictEqual(detectBot({ userAgent: userAgent }), {
+      botScore: 0,
+      botReasons: [],
+    });
+  });
+});
@@ -0,0 +1,26 @@
+// formatLegacyFingerprint() must keep producing the fingerPrint strings the
+// first release sent; the expected strings were recorded from that release.
+// node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const fixtures = require("./fixtures/legacy-fingerprints.json");
+const { formatLegacyFingerprint } = require("../tracking.js");
+
+// Visitor data the expected strings were recorded with
+const data = {
+  screen: { width: 390, height: 844, pixelRatio: 2.625 },
+  hardware: { cores: 8, memory: 4 },
+  identifiers: {
+    canvasFingerprint: "c4f3a9",
+    webGLRenderer: "ANGLE (Apple, Apple M1 Pro, OpenGL 4.1)",
+  },
+};
+
+fixtures.forEach((fixture) => {
+  test(fixture.name, () => {
+    assert.strictEqual(
+      formatLegacyFingerprint(fixture.userAgent, fixture.platform, data),
+      fixture.expected
+    );
+  });
+});
@@ -0,0 +1,47 @@
+// Runs the UA fixture corpus through the parsers tracking.js exports.
+// node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const fixtures = require("./fixtures/user-agents.json");
+const {
+  parseUserAgent,
+  resolveDevice,
+  formatLegacyFingerprint,
+} = require("../tracking.js");
+
+// Flatten a resolved device into the keys the fixtures use
+function summarize(device) {
+  return {
+    os: device.os.name,
+    osVersion: device.os.version,
+    browser: device.browser.name,
+    browserVersion: device.browser.version,
+    actualBrowser: device.browser.actualBrowser,
+    inAppBrowser: device.browser.inAppBrowser,
+    deviceModel: device.deviceModel,
+    deviceVendor: device.deviceVendor,
+    deviceName: device.deviceName,
+  };
+}
+
+fixtures.forEach((fixture) => {
+  test(fixture.name, () => {
+    const device = resolveDevice(
+      parseUserAgent(fixture.userAgent, fixture.hints),
+      fixture.signals
+    );
+    const actual = summarize(device);
+
+    // Fixtures only list the fields they pin down
+    Object.keys(fixture.expected).forEach((key) => {
+      assert.strictEqual(actual[key], fixture.expected[key], key);
+    });
+  });
+});
+
+test("ES module entry exports the same parsers", async () => {
+  const esm = await import("../tracking.mjs");
+  assert.strictEqual(esm.parseUserAgent, parseUserAgent);
+  assert.strictEqual(esm.resolveDevice, resolveDevice);
+  assert.strictEqual(esm.formatLegacyFingerprint, formatLegacyFingerprint);
+});
@@ -2,202 +2,3811 @@
  * Visitor Tracking Client Script
  * Collects browser and device information for visitor identification.
  * Sends data to your backend for tracking and analysis.
+ *
+ * Configuration is read from data-* attributes on the injecting <script>
+ * tag and from a window.visitorTrackerConfig object (which wins):
+ *
+ *   <script src="tracking.js" data-endpoint="https://staging/api"
+ *           data-vendor-id="my-store" data-autostart="false"></script>
+ *
+ *   endpoint                Collector URL events are sent to
+ *   vendorId                Explicit vendor ID (default: the platform's store
+ *                           ID, else the detected store domain)
+ *   platform                Storefront platform: "auto" (detect it), shopify,
+ *                           woocommerce, bigcommerce or magento
+ *   events                  Enabled event types (data-events="page_visit,add_to_cart"):
+ *                           page_visit, view_item, add_to_cart, view_cart,
+ *                           remove_from_cart, cart_quantity_change,
+ *                           begin_checkout, purchase, tab_resumed, page_exit,
+ *                           identify, custom (events sent with track()),
+ *                           web_vitals, js_error
+ *   debug                   Log to the console and show the event inspector
+ *                           (also enabled for the tab by ?vt_debug=1, and
+ *                           turned off again by ?vt_debug=0)
+ *   visitorCookieDays       Lifetime of the vt_vid visitor ID and vt_ses cookies
+ *                           and of the stored attribution touches
+ *   sessionTimeout          Minutes of inactivity after which a new session starts
+ *   storeTimezone           IANA timezone whose midnight ends a session
+ *                           (default: the visitor's timezone)
+ *   fingerprintCookieDays   Lifetime of the vt_fp cookie
+ *   hardwareCookieDays      Lifetime of the vt_cores / vt_mem cookies
+ *   cookieDomain            Domain for vt_* cookies: null (current host only),
+ *                           "auto" (the registrable domain, shared by www.
+ *                           and the bare domain) or an explicit domain
+ *   secureCookies           Mark cookies Secure on https pages
+ *   storageLayers           Where the visitor and customer IDs are kept:
+ *                           cookie, localStorage, indexedDB
+ *   pageTypeRules           Extra page type rules checked before the built-in
+ *                           ones (window config only), e.g.
+ *                           [{ type: "lookbook", path: "^/pages/lookbook" },
+ *                            { type: "product", selector: ".pdp" }]
+ *   autostart               Call start() on load (call it yourself if false)
+ *   batchSize               Maximum number of events sent in one request
+ *   flushInterval           Milliseconds to wait for more events before sending
+ *   maxRetries              Delivery attempts before an event is dropped
+ *   maxQueueSize            Maximum number of undelivered events kept
+ *   consentMode             "none" (track immediately), "shopify" (follow the
+ *                           Shopify Customer Privacy API) or "manual" (wait
+ *                           for visitorTracker.setConsent())
+ *   pendingEvents           "buffer" or "discard" events captured before consent
+ *   cartInstrumentation     Detect add-to-cart from the platform's cart
+ *                           requests, events and form posts (false: only use
+ *                           the button selector list)
+ *   spaTracking             Report pushState / replaceState / popstate URL
+ *                           changes as virtual page visits
+ *   trackHashChanges        Also treat #hash-only changes as page visits
+ *   legacyFingerprint       Keep sending the pipe-joined fingerPrint string
+ *   botMode                 "tag" (add botScore / botReasons to events),
+ *                           "suppress" (do not track likely bots) or "off"
+ *   botThreshold            botScore from which "suppress" stops tracking
+ *   autoIdentify            identify() the logged-in Shopify customer
+ *   hashEmails              Send a SHA-256 of emails entered in forms
+ *   destinations            Also forward events to these destinations
+ *                           (data-destinations="dataLayer,metaPixel,webhook")
+ *   webhookUrl              URL the webhook destination POSTs payloads to
+ *
+ * Events, payloads and the JavaScript API are documented in README.md.
  */
 
 (function () {
-  // API endpoint for tracking
-  const TRACKING_API_URL =
-    "https://my.pilotseat.in/api/v1/customer/page-visits";
+  // User-agent parsing. Kept free of browser globals so the backend can
+  // re-parse stored userAgent strings with the same code (see the export
+  // below the parser).
+
+  // Client hint platforms and brands mapped to the names the UA parser uses
+  const CLIENT_HINT_PLATFORMS = {
+    Windows: "Windows",
+    macOS: "MacOS",
+    Android: "Android",
+    iOS: "iOS",
+    Linux: "Linux",
+    "Chrome OS": "ChromeOS",
+    "Chromium OS": "ChromeOS",
+  };
+  const CLIENT_HINT_BRANDS = {
+    "Google Chrome": "Chrome",
+    "Microsoft Edge": "Edge",
+    Opera: "Opera",
+  };
+
+  // In-app browsers identified by their UA tokens
+  const IN_APP_BROWSERS = [
+    { name: "Instagram", pattern: /Instagram/ },
+    { name: "Facebook", pattern: /FBAN|FBAV|FB_IAB/ },
+    { name: "TikTok", pattern: /musical_ly|BytedanceWebview/ },
+    { name: "Pinterest", pattern: /Pinterest/ },
+    { name: "Snapchat", pattern: /Snapchat/ },
+  ];
+
+  // Parse a user-agent string, preferring client hints when given. hints
+  // takes the shape of navigator.userAgentData plus any high-entropy values
+  // ({ brands, mobile, platform, platformVersion, model, fullVersionList,
+  // architecture, bitness }). Returns { os, browser, deviceModel,
+  // deviceModelSource }; sources are "client-hints" or "user-agent".
+  function parseUserAgent(userAgent, hints) {
+    userAgent = userAgent || "";
+    hints = hints && hints.platform ? hints : null;
+
+    const hintedModel = parseDeviceModelFromHints(hints);
+    return {
+      os: parseOperatingSystem(userAgent, hints),
+      browser: parseBrowser(userAgent, hints),
+      deviceModel: hintedModel || parseDeviceModel(userAgent),
+      deviceModelSource: hintedModel ? "client-hints" : "user-agent",
+    };
+  }
+
+  // Windows Phone puts "iPhone" in its UA, so it must not count as iOS
+  function isAppleMobile(userAgent) {
+    return (
+      /iPad|iPhone|iPod/.test(userAgent) &&
+      !/IEMobile|Windows Phone/.test(userAgent)
+    );
+  }
+
+  function parseOperatingSystem(userAgent, hints) {
+    let os = "Unknown";
+    let version = "";
+
+    // Detect common mobile operating systems
+    if (/android/i.test(userAgent)) {
+      os = "Android";
+      const match = userAgent.match(/Android (\d+(\.\d+)?)/i);
+      version = match ? match[1] : "";
+    } else if (isAppleMobile(userAgent)) {
+      os = "iOS";
+      const match = userAgent.match(/OS (\d+[_\d]*) like Mac OS X/i);
+      version = match ? match[1].replace(/_/g, ".") : "";
+    } else if (/Windows NT/.test(userAgent)) {
+      os = "Windows";
+      const match = userAgent.match(/Windows NT (\d+(\.\d+)?)/i);
+      version = match ? match[1] : "";
+    } else if (/Mac OS X/.test(userAgent)) {
+      os = "MacOS";
+      const match = userAgent.match(/Mac OS X (\d+[._\d]*)/i);
+      version = match ? match[1].replace(/_/g, ".") : "";
+    } else if (/Linux/.test(userAgent)) {
+      os = "Linux";
+    }
+
+    const result = {
+      name: os,
+      version: version,
+      mobile:
+        /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
+          userAgent
+        ),
+      source: "user-agent",
+      versionSource: "user-agent",
+    };
+
+    // Client hints report the real version the UA string has frozen
+    if (hints) {
+      result.name = CLIENT_HINT_PLATFORMS[hints.platform] || hints.platform;
+      result.mobile = !!hints.mobile;
+      result.source = "client-hints";
+
+      const hintedVersion = parseOsVersionFromHints(hints);
+      if (hintedVersion) {
+        result.version = hintedVersion;
+        result.versionSource = "client-hints";
+      } else if (result.name !== os) {
+        result.version = "";
+      }
+    }
+
+    return result;
+  }
+
+  // OS version from the platformVersion hint. Windows reports its own
+  // scheme: 13 and above is Windows 11, 1 to 12 is Windows 10.
+  function parseOsVersionFromHints(hints) {
+    const version = hints.platformVersion;
+    if (!version) return "";
+    if (hints.platform !== "Windows") return version;
+
+    const major = parseInt(version, 10);
+    if (major >= 13) return "11";
+    if (major > 0) return "10";
+    return { "0.1.0": "7", "0.2.0": "8", "0.3.0": "8.1" }[version] || "";
+  }
+
+  // Device model from hints: the phone model, or architecture on desktop
+  function parseDeviceModelFromHints(hints) {
+    if (!hints) return null;
+    if (hints.model) return hints.model;
+    if (hints.mobile || !hints.architecture) return null;
+
+    const bitness = hints.bitness ? ` ${hints.bitness}-bit` : "";
+    return `${hints.platform} ${hints.architecture}${bitness}`;
+  }
+
+  // Device model from the UA. Desktop UAs carry no model and report
+  // "Desktop Device".
+  function parseDeviceModel(userAgent) {
+    // For Android devices
+    if (/android/i.test(userAgent)) {
+      // Look for patterns like: Android 10; SM-G973F or Android 10; Pixel 4
+
+      // Samsung devices
+      let match = userAgent.match(/;\s+(SM-[A-Z0-9]+)/i);
+      if (match && match[1]) return match[1].trim();
+
+      // Google Pixel
+      match = userAgent.match(/;\s+(Pixel\s+[^;)]+)/i);
+      if (match && match[1]) return match[1].replace(/\sBuild.*/i, "").trim();
+
+      // Xiaomi/Redmi
+      match = userAgent.match(/;\s+(Mi\s+[^;)]+|Redmi\s+[^;)]+)/i);
+      if (match && match[1]) return match[1].trim();
+
+      // OnePlus
+      match = userAgent.match(/;\s+(OnePlus[^;)]+)/i);
+      if (match && match[1]) return match[1].trim();
+
+      // Reduced UA strings replace the model with "K"
+      if (/Android [\d.]+; K\)/i.test(userAgent)) return "Android Device";
+
+      // General Android model pattern: the segment after the version and
+      // an optional locale, e.g. "Android 11; en-us; RMX3085 Build/RP1A)"
+      match = userAgent.match(
+        /Android[\s\/][\d.]*;\s*(?:[a-z]{2}[-_][a-z]{2,3};\s*)?((?:[^;()]|\([^)]*\))+?)\s*(?:Build\/[^;)]*)?[;)]/i
+      );
+      if (match && match[1]) {
+        // Clean up the model string
+        return match[1].trim().replace(/\sLMY.*/i, ""); // Remove additional version info
+      }
+    }
+
+    // For iOS devices
+    if (/iPad|iPhone|iPod/.test(userAgent)) {
+      let device = "Unknown iOS Device";
+
+      if (/iPad/.test(userAgent)) device = "iPad";
+      else if (/iPod/.test(userAgent)) device = "iPod";
+      else if (/iPhone/.test(userAgent)) device = "iPhone";
+
+      // Try to get iOS version
+      const match = userAgent.match(/OS (\d+[._]\d+[._]?\d*) like Mac OS X/i);
+      const version = match ? match[1].replace(/_/g, ".") : "";
+
+      if (version) return `${device} (iOS ${version})`;
+      return device;
+    }
+
+    if (/Windows NT|Macintosh|Linux/i.test(userAgent)) {
+      return "Desktop Device";
+    }
+
+    return "Unknown Device";
+  }
+
+  function parseBrowser(userAgent, hints) {
+    let browserName = "Unknown";
+    let browserVersion = "";
+    let actualBrowser = "Unknown"; // Track the actual browser application
+
+    // First detect the actual browser application (Chrome, Firefox, etc.)
+    if (/CriOS/i.test(userAgent)) {
+      actualBrowser = "Chrome";
+    } else if (/FxiOS/i.test(userAgent)) {
+      actualBrowser = "Firefox";
+    } else if (/EdgiOS/i.test(userAgent)) {
+      actualBrowser = "Edge";
+    } else if (/OPiOS/i.test(userAgent)) {
+      actualBrowser = "Opera";
+    }
+
+    // iOS specific handling - all browsers use WebKit on iOS
+    if (isAppleMobile(userAgent)) {
+      // For iOS browsers, try to get the WebKit version
+      // CriOS = Chrome for iOS, FxiOS = Firefox for iOS, etc.
+      if (/CriOS/.test(userAgent)) {
+        browserName = "Chrome"; // Report as Chrome even though it uses WebKit
+        const match = userAgent.match(/CriOS\/(\d+(\.\d+)?)/i);
+        browserVersion = match ? match[1] : "";
+      } else if (/FxiOS/.test(userAgent)) {
+        browserName = "Firefox";
+        const match = userAgent.match(/FxiOS\/(\d+(\.\d+)?)/i);
+        browserVersion = match ? match[1] : "";
+      } else if (/EdgiOS/.test(userAgent)) {
+        browserName = "Edge";
+        const match = userAgent.match(/EdgiOS\/(\d+(\.\d+)?)/i);
+        browserVersion = match ? match[1] : "";
+      } else if (/OPiOS/.test(userAgent)) {
+        browserName = "Opera";
+        const match = userAgent.match(/OPiOS\/(\d+(\.\d+)?)/i);
+        browserVersion = match ? match[1] : "";
+      } else if (/Version\//.test(userAgent)) {
+        // Standard Safari
+        browserName = "Safari";
+        const match = userAgent.match(/Version\/(\d+(\.\d+)?)/i);
+        browserVersion = match ? match[1] : "";
+      } else {
+        // In-app browsers (Instagram, Facebook) embed a bare WKWebView
+        browserName = "WebView";
+      }
+    }
+    // Android System WebView, used by in-app browsers
+    else if (/; wv\)/.test(userAgent)) {
+      browserName = "WebView";
+      const match = userAgent.match(/Chrome\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    }
+    // Samsung Internet also carries a Chrome token
+    else if (/SamsungBrowser/.test(userAgent)) {
+      browserName = "Samsung Internet";
+      const match = userAgent.match(/SamsungBrowser\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    }
+    // Brave usually hides behind a plain Chrome UA, but not always
+    else if (/Brave\//.test(userAgent)) {
+      browserName = "Brave";
+      const match = userAgent.match(/Brave\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    }
+    // Non-iOS browser detection
+    else if (
+      /Chrome/.test(userAgent) &&
+      !/Chromium|Edge|Edg|OPR|Opera|brave/i.test(userAgent)
+    ) {
+      browserName = "Chrome";
+      const match = userAgent.match(/Chrome\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    } else if (/Firefox/.test(userAgent) && !/Seamonkey/i.test(userAgent)) {
+      browserName = "Firefox";
+      const match = userAgent.match(/Firefox\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    } else if (/Edg/.test(userAgent)) {
+      browserName = "Edge";
+      const match = userAgent.match(/Edg\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    } else if (
+      /Safari/.test(userAgent) &&
+      !/Chrome|Chromium|Edge|Edg|OPR|Opera/i.test(userAgent)
+    ) {
+      browserName = "Safari";
+      const match = userAgent.match(/Version\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    } else if (/MSIE|Trident/.test(userAgent)) {
+      browserName = "Internet Explorer";
+      const match = userAgent.match(/(?:MSIE |rv:)(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    } else if (/OPR|Opera/.test(userAgent)) {
+      browserName = "Opera";
+      const match = userAgent.match(/(?:OPR|Opera)\/(\d+(\.\d+)?)/i);
+      browserVersion = match ? match[1] : "";
+    }
+
+    const inApp = IN_APP_BROWSERS.find((app) => app.pattern.test(userAgent));
+    const result = {
+      name: browserName,
+      version: browserVersion,
+      actualBrowser: actualBrowser, // Store the actual browser app if relevant
+      inAppBrowser: inApp ? inApp.name : null,
+      source: "user-agent",
+      versionSource: "user-agent",
+    };
+
+    // Prefer the brand list, which names Edge, Opera, Brave and others
+    const brand = parseBrowserBrandFromHints(hints);
+    if (brand) {
+      result.name = CLIENT_HINT_BRANDS[brand.brand] || brand.brand;
+      result.version = brand.version;
+      result.source = "client-hints";
+      result.versionSource = "client-hints";
+    }
+
+    return result;
+  }
+
+  // The browser's own brand from client hints, skipping GREASE entries
+  // and Chromium when a more specific brand is listed. Uses the full
+  // version list when present, else the major-only brand list.
+  function parseBrowserBrandFromHints(hints) {
+    if (!hints) return null;
+
+    const list = (hints.fullVersionList || hints.brands || []).filter(
+      (entry) => !/not.?a.?brand/i.test(entry.brand)
+    );
+    return (
+      list.find((entry) => entry.brand !== "Chromium") ||
+      list.find((entry) => entry.brand === "Chromium") ||
+      null
+    );
+  }
+
+  // Device database. Android model codes with known marketing names, as
+  // [vendor, name]; codes missing here still get a vendor from the
+  // prefix patterns below.
+  const ANDROID_MODELS = {
+    "SM-G973F": ["Samsung", "Samsung Galaxy S10"],
+    "SM-G991B": ["Samsung", "Samsung Galaxy S21"],
+    "SM-S911B": ["Samsung", "Samsung Galaxy S23"],
+    "SM-A125F": ["Samsung", "Samsung Galaxy A12"],
+    "SM-A515F": ["Samsung", "Samsung Galaxy A51"],
+    CPH1909: ["Oppo", "Oppo A5s"],
+    CPH2015: ["Oppo", "Oppo A31"],
+    CPH2127: ["Oppo", "Oppo A53"],
+    CPH2269: ["Oppo", "Oppo A16"],
+    V2026: ["Vivo", "Vivo Y12s"],
+    V2027: ["Vivo", "Vivo Y20"],
+    V2111: ["Vivo", "Vivo Y21"],
+    RMX2001: ["Realme", "Realme 6"],
+    RMX2185: ["Realme", "Realme C11"],
+    RMX3085: ["Realme", "Realme 8"],
+    "ANE-LX1": ["Huawei", "Huawei P20 lite"],
+    "ELE-L29": ["Huawei", "Huawei P30"],
+    "MAR-LX1A": ["Huawei", "Huawei P30 lite"],
+    "VOG-L29": ["Huawei", "Huawei P30 Pro"],
+    M2101K6G: ["Xiaomi", "Redmi Note 10 Pro"],
+    "2201117TG": ["Xiaomi", "Redmi Note 11"],
+  };
+  const ANDROID_VENDOR_PATTERNS = [
+    ["Samsung", /^(SM-|GT-|SAMSUNG)/i],
+    ["Google", /^Pixel/i],
+    ["Oppo", /^(CPH\d|OPPO)/i],
+    ["Vivo", /^(V\d{4}|vivo)/i],
+    ["Realme", /^(RMX\d|realme)/i],
+    // Before OnePlus, whose codes are also two letters and four digits
+    ["Motorola", /^(moto|motorola|XT\d{4})/i],
+    ["OnePlus", /^(OnePlus|(AC|BE|DE|DN|EB|GM|HD|IN|KB|LE|MT|NE|PJ)\d{4}$)/i],
+    ["Xiaomi", /^(M\d{4}[A-Z]|\d{4}[A-Z0-9]{3,}[A-Z]{1,3}$|Redmi|Mi |POCO)/i],
+    ["Huawei", /^([A-Z]{3}-[A-Z]{1,2}\d{1,2}[A-Z]?$|HUAWEI)/],
+    ["Nokia", /^(Nokia|TA-\d{4})/i],
+  ];
+
+  // Apple devices by portrait CSS screen size, pixel ratio and chip, as
+  // [name, width, height, pixelRatio, chip]. The UA only says iPhone or
+  // iPad, so these narrow it down to the models sharing a screen.
+  const APPLE_DEVICES = [
+    ["iPhone 4s", 320, 480, 2, "A5"],
+    ["iPhone 5", 320, 568, 2, "A6"],
+    ["iPhone 5s", 320, 568, 2, "A7"],
+    ["iPhone SE", 320, 568, 2, "A9"],
+    ["iPhone 6", 375, 667, 2, "A8"],
+    ["iPhone 6s", 375, 667, 2, "A9"],
+    ["iPhone 7", 375, 667, 2, "A10"],
+    ["iPhone 8", 375, 667, 2, "A11"],
+    ["iPhone SE (2nd gen)", 375, 667, 2, "A13"],
+    ["iPhone SE (3rd gen)", 375, 667, 2, "A15"],
+    ["iPhone 6 Plus", 414, 736, 3, "A8"],
+    ["iPhone 6s Plus", 414, 736, 3, "A9"],
+    ["iPhone 7 Plus", 414, 736, 3, "A10"],
+    ["iPhone 8 Plus", 414, 736, 3, "A11"],
+    ["iPhone X", 375, 812, 3, "A11"],
+    ["iPhone XS", 375, 812, 3, "A12"],
+    ["iPhone 11 Pro", 375, 812, 3, "A13"],
+    ["iPhone 12 mini", 375, 812, 3, "A14"],
+    ["iPhone 13 mini", 375, 812, 3, "A15"],
+    ["iPhone XR", 414, 896, 2, "A12"],
+    ["iPhone 11", 414, 896, 2, "A13"],
+    ["iPhone XS Max", 414, 896, 3, "A12"],
+    ["iPhone 11 Pro Max", 414, 896, 3, "A13"],
+    ["iPhone 12", 390, 844, 3, "A14"],
+    ["iPhone 12 Pro", 390, 844, 3, "A14"],
+    ["iPhone 13", 390, 844, 3, "A15"],
+    ["iPhone 13 Pro", 390, 844, 3, "A15"],
+    ["iPhone 14", 390, 844, 3, "A15"],
+    ["iPhone 12 Pro Max", 428, 926, 3, "A14"],
+    ["iPhone 13 Pro Max", 428, 926, 3, "A15"],
+    ["iPhone 14 Plus", 428, 926, 3, "A15"],
+    ["iPhone 14 Pro", 393, 852, 3, "A16"],
+    ["iPhone 15", 393, 852, 3, "A16"],
+    ["iPhone 15 Pro", 393, 852, 3, "A17"],
+    ["iPhone 16", 393, 852, 3, "A18"],
+    ["iPhone 14 Pro Max", 430, 932, 3, "A16"],
+    ["iPhone 15 Plus", 430, 932, 3, "A16"],
+    ["iPhone 15 Pro Max", 430, 932, 3, "A17"],
+    ["iPhone 16 Plus", 430, 932, 3, "A18"],
+    ["iPhone 16 Pro", 402, 874, 3, "A18"],
+    ["iPhone 16 Pro Max", 440, 956, 3, "A18"],
+    ["iPad mini (5th gen)", 768, 1024, 2, "A12"],
+    ["iPad (6th gen)", 768, 1024, 2, "A10"],
+    ["iPad Air (2nd gen)", 768, 1024, 2, "A8"],
+    ["iPad (7th-9th gen)", 810, 1080, 2, null],
+    ["iPad Air (3rd gen)", 834, 1112, 2, "A12"],
+    ["iPad Pro 10.5", 834, 1112, 2, "A10"],
+    ["iPad Air (4th gen)", 820, 1180, 2, "A14"],
+    ["iPad (10th gen)", 820, 1180, 2, "A14"],
+    ["iPad mini (6th gen)", 744, 1133, 2, "A15"],
+    ["iPad Pro 11", 834, 1194, 2, null],
+    ["iPad Pro 12.9", 1024, 1366, 2, null],
+  ];
+
+  // Add deviceVendor and deviceName to parseUserAgent() details using
+  // screen and GPU signals: { width, height, pixelRatio, maxTouchPoints,
+  // webGLRenderer }. Also recognises iPads that report as a Mac.
+  function resolveDevice(details, signals) {
+    signals = signals || {};
+    const resolved = Object.assign({}, details, {
+      deviceVendor: null,
+      deviceName: null,
+    });
+
+    // iPadOS requests desktop sites with a Mac UA, but Macs have no touch
+    if (details.os.name === "MacOS" && signals.maxTouchPoints > 1) {
+      resolved.os = Object.assign({}, details.os, {
+        name: "iOS",
+        version:
+          details.browser.name === "Safari" ? details.browser.version : "",
+        mobile: true,
+      });
+      resolved.deviceModel = "iPad";
+    }
+
+    if (/^(iPhone|iPad|iPod)/.test(resolved.deviceModel)) {
+      resolved.deviceVendor = "Apple";
+      resolved.deviceName = findAppleDevice(resolved.deviceModel, signals);
+      return resolved;
+    }
+
+    if (details.os.name === "Android") {
+      // Samsung Internet prefixes the model code: "SAMSUNG SM-S911B"
+      const code = details.deviceModel.replace(/^SAMSUNG[ -]/i, "");
+      const known = ANDROID_MODELS[code];
+      const vendor = ANDROID_VENDOR_PATTERNS.find((entry) =>
+        entry[1].test(details.deviceModel)
+      );
+      if (known) {
+        resolved.deviceVendor = known[0];
+        resolved.deviceName = known[1];
+      } else if (vendor) {
+        resolved.deviceVendor = vendor[0];
+      }
+    }
+
+    return resolved;
+  }
+
+  // Apple models matching the screen, narrowed by the GPU chip when the
+  // WebGL renderer names one ("Apple A15 GPU"). Null when none match.
+  function findAppleDevice(deviceModel, signals) {
+    const family = deviceModel.split(" ")[0];
+    const width = Math.min(signals.width, signals.height);
+    const height = Math.max(signals.width, signals.height);
+    let candidates = APPLE_DEVICES.filter(
+      (entry) =>
+        entry[0].indexOf(family) === 0 &&
+        entry[1] === width &&
+        entry[2] === height &&
+        entry[3] === Math.round(signals.pixelRatio)
+    );
+
+    const chip = /Apple (A\d+)/.exec(signals.webGLRenderer || "");
+    const sameChip = chip
+      ? candidates.filter((entry) => entry[4] === chip[1])
+      : [];
+    if (sameChip.length) candidates = sameChip;
+
+    if (!candidates.length) return null;
+    return candidates.map((entry) => entry[0]).join(" / ");
+  }
+
+  // Bot detection. Crawlers, uptime monitors and automation tools by UA:
+  // known crawler names, or a bot announcing itself the crawler way with
+  // "(compatible; ...bot" or a "+http" contact URL. A bare "bot" in a word
+  // is not enough, phone models such as CUBOT_X19 contain it.
+  const CRAWLER_UA_PATTERN =
+    /\b(?:Googlebot|AdsBot-Google|Storebot-Google|Google-InspectionTool|bingbot|BingPreview|AhrefsBot|SemrushBot|YandexBot|DuckDuckBot|Applebot|Twitterbot|facebookbot|LinkedInBot|Pinterestbot|Slackbot|Discordbot|TelegramBot|PetalBot|MJ12bot|DotBot|GPTBot|ClaudeBot|CCBot|Amazonbot|DataForSeoBot|SeznamBot|Exabot|rogerbot|Screaming Frog)|\(compatible;[^)]*bot|\+https?:\/\/|crawl|spider|slurp|facebookexternalhit|Mediapartners-Google|Lighthouse|PTST|GTmetrix|Pingdom|UptimeRobot|StatusCake|Site24x7|DatadogSynthetics|NewRelicPinger|Shopify[- ]?(Captain[- ]Hook|Preview)|python-requests|curl\/|Wget|Go-http-client|axios\/|node-fetch/i;
+  const HEADLESS_UA_PATTERN =
+    /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Electron\/|jsdom/i;
+
+  // Points each signal adds to botScore (capped at 100)
+  const BOT_SIGNAL_WEIGHTS = {
+    "crawler-ua": 100,
+    "headless-ua": 100,
+    webdriver: 100,
+    "zero-screen": 40,
+    "no-languages": 30,
+    "no-plugins": 20,
+    "missing-chrome-object": 20,
+  };
+
+  // Score how likely the visitor is automated from { userAgent, webdriver,
+  // languages, plugins, screenWidth, screenHeight, hasChromeObject }. Any
+  // signal left undefined is skipped, so a bare user agent can be scored.
+  // Returns { botScore: 0-100, botReasons: [...] }.
+  function detectBot(signals) {
+    const userAgent = signals.userAgent || "";
+    const desktop = !/Mobile|Android|iPhone|iPad|iPod/i.test(userAgent);
+    const chromium = /Chrome\//.test(userAgent) && !/Edg|OPR/.test(userAgent);
+    const reasons = [];
+
+    if (CRAWLER_UA_PATTERN.test(userAgent)) reasons.push("crawler-ua");
+    if (HEADLESS_UA_PATTERN.test(userAgent)) reasons.push("headless-ua");
+    if (signals.webdriver) reasons.push("webdriver");
+    if (signals.screenWidth === 0 || signals.screenHeight === 0) {
+      reasons.push("zero-screen");
+    }
+    if (signals.languages === 0) reasons.push("no-languages");
+
+    // Desktop Chromium always lists its PDF viewer and exposes window.chrome
+    if (desktop && chromium && signals.plugins === 0) {
+      reasons.push("no-plugins");
+    }
+    if (desktop && chromium && signals.hasChromeObject === false) {
+      reasons.push("missing-chrome-object");
+    }
+
+    const score = reasons.reduce(
+      (total, reason) => total + BOT_SIGNAL_WEIGHTS[reason],
+      0
+    );
+    return { botScore: Math.min(score, 100), botReasons: reasons };
+  }
+
+  // The pipe-joined fingerPrint string of legacyFingerprint. OS, browser and
+  // device model come from a frozen copy of the first UA parser: do not
+  // improve it, any change alters fingerprints collectors already store.
+  // platform is navigator.platform, data the collected visitor data.
+  function formatLegacyFingerprint(userAgent, platform, data) {
+    const legacy = parseLegacyUserAgent(userAgent, platform);
+
+    // Generate a more browser-specific identifier for iOS
+    let browserIdentifier = legacy.browser;
+
+    // For iOS, add clarity about actual browser app
+    if (legacy.os === "iOS" && legacy.actualBrowser !== "Unknown") {
+      browserIdentifier = `${legacy.actualBrowser}(WebKit)`;
+    }
+
+    // Return a pipe-delimited string of key attributes with MORE unique identifiers
+    return [
+      legacy.os,
+      browserIdentifier,
+      legacy.browserVersion.split(".")[0] || "unknown", // Major version only
+      `${data.screen.width}x${data.screen.height}`,
+      `${data.hardware.cores}cores-${data.hardware.memory}GB`,
+      data.identifiers.canvasFingerprint,
+      legacy.deviceModel, // ADDED DEVICE MODEL!
+      (data.screen.pixelRatio || 1).toFixed(3), // Precise pixel ratio
+      data.identifiers.webGLRenderer
+        ? data.identifiers.webGLRenderer.substring(0, 20)
+        : "unknown-gpu", // GPU info!
+    ].join("|");
+  }
+
+  // OS, browser and device model as the first UA parser reported them
+  function parseLegacyUserAgent(userAgent, platform) {
+    const version = (pattern) => {
+      const match = userAgent.match(pattern);
+      return match ? match[1] : "";
+    };
+    const isIOS =
+      /iPad|iPhone|iPod/.test(userAgent) &&
+      !(typeof window !== "undefined" && window.MSStream);
+
+    let os = "Unknown";
+    if (/android/i.test(userAgent)) os = "Android";
+    else if (isIOS) os = "iOS";
+    else if (/Windows NT/.test(userAgent)) os = "Windows";
+    else if (/Mac OS X/.test(userAgent)) os = "MacOS";
+    else if (/Linux/.test(userAgent)) os = "Linux";
+
+    let actualBrowser = "Unknown";
+    if (/CriOS/i.test(userAgent)) actualBrowser = "Chrome";
+    else if (/FxiOS/i.test(userAgent)) actualBrowser = "Firefox";
+    else if (/EdgiOS/i.test(userAgent)) actualBrowser = "Edge";
+    else if (/OPiOS/i.test(userAgent)) actualBrowser = "Opera";
+
+    let browser = "Unknown";
+    let browserVersion = "";
+    if (isIOS) {
+      if (/CriOS/.test(userAgent)) {
+        browser = "Chrome";
+        browserVersion = version(/CriOS\/(\d+(\.\d+)?)/i);
+      } else if (/FxiOS/.test(userAgent)) {
+        browser = "Firefox";
+        browserVersion = version(/FxiOS\/(\d+(\.\d+)?)/i);
+      } else if (/EdgiOS/.test(userAgent)) {
+        browser = "Edge";
+        browserVersion = version(/EdgiOS\/(\d+(\.\d+)?)/i);
+      } else {
+        browser = "Safari";
+        browserVersion = version(/Version\/(\d+(\.\d+)?)/i);
+      }
+    } else if (
+      /Chrome/.test(userAgent) &&
+      !/Chromium|Edge|Edg|OPR|Opera|brave/i.test(userAgent)
+    ) {
+      browser = "Chrome";
+      browserVersion = version(/Chrome\/(\d+(\.\d+)?)/i);
+    } else if (/Firefox/.test(userAgent) && !/Seamonkey/i.test(userAgent)) {
+      browser = "Firefox";
+      browserVersion = version(/Firefox\/(\d+(\.\d+)?)/i);
+    } else if (/Edg/.test(userAgent)) {
+      browser = "Edge";
+      browserVersion = version(/Edg\/(\d+(\.\d+)?)/i);
+    } else if (
+      /Safari/.test(userAgent) &&
+      !/Chrome|Chromium|Edge|Edg|OPR|Opera/i.test(userAgent)
+    ) {
+      browser = "Safari";
+      browserVersion = version(/Version\/(\d+(\.\d+)?)/i);
+    } else if (/MSIE|Trident/.test(userAgent)) {
+      browser = "Internet Explorer";
+      browserVersion = version(/(?:MSIE |rv:)(\d+(\.\d+)?)/i);
+    } else if (/OPR|Opera/.test(userAgent)) {
+      browser = "Opera";
+      browserVersion = version(/(?:OPR|Opera)\/(\d+(\.\d+)?)/i);
+    }
+
+    return {
+      os: os,
+      browser: browser,
+      browserVersion: browserVersion,
+      actualBrowser: actualBrowser,
+      deviceModel: parseLegacyDeviceModel(userAgent, platform),
+    };
+  }
+
+  // Device model exactly as the first UA parser extracted it
+  function parseLegacyDeviceModel(userAgent, platform) {
+    if (/android/i.test(userAgent)) {
+      const patterns = [
+        /;\s+(SM-[A-Z0-9]+)/i,
+        /;\s+(Pixel\s+[^;)]+)/i,
+        /;\s+(Mi\s+[^;)]+|Redmi\s+[^;)]+)/i,
+        /;\s+(OnePlus[^;)]+)/i,
+      ];
+      for (let i = 0; i < patterns.length; i++) {
+        const match = userAgent.match(patterns[i]);
+        if (match && match[1]) return match[1].trim();
+      }
+
+      const match = userAgent.match(
+        /Android[\s\/][\d\.]+;\s+([^;]+)(?:Build|[^\)]+\))/i
+      );
+      if (match && match[1]) {
+        return match[1]
+          .trim()
+          .replace(/\sBuild.*/i, "")
+          .replace(/\sLMY.*/i, "")
+          .replace(/[;(].*/, "");
+      }
+    }
+
+    if (/iPad|iPhone|iPod/.test(userAgent)) {
+      let device = "Unknown iOS Device";
+      if (/iPad/.test(userAgent)) device = "iPad";
+      else if (/iPod/.test(userAgent)) device = "iPod";
+      else if (/iPhone/.test(userAgent)) device = "iPhone";
+
+      const match = userAgent.match(/OS (\d+[._]\d+[._]?\d*) like Mac OS X/i);
+      const version = match ? match[1].replace(/_/g, ".") : "";
+      return version ? `${device} (iOS ${version})` : device;
+    }
+
+    if (/Windows NT|Macintosh|Linux/i.test(userAgent)) {
+      return platform || "Desktop Device";
+    }
+    return "Unknown Device";
+  }
+
+  // Node (backfill jobs) gets the parsers only; the tracker needs a browser
+  if (typeof module === "object" && module.exports) {
+    module.exports = {
+      parseUserAgent: parseUserAgent,
+      resolveDevice: resolveDevice,
+      detectBot: detectBot,
+      formatLegacyFingerprint: formatLegacyFingerprint,
+    };
+  }
+  if (typeof window === "undefined") return;
+
+  // Default configuration, overridden by the script tag and window config
+  const DEFAULT_CONFIG = {
+    endpoint: "https://my.pilotseat.in/api/v1/customer/page-visits",
+    vendorId: null,
+    events: [
+      "page_visit",
+      "view_item",
+      "add_to_cart",
+      "view_cart",
+      "remove_from_cart",
+      "cart_quantity_change",
+      "begin_checkout",
+      "purchase",
+      "tab_resumed",
+      "page_exit",
+      "identify",
+      "custom",
+      "web_vitals",
+      "js_error",
+    ],
+    debug: false,
+    visitorCookieDays: 365,
+    sessionTimeout: 30,
+    storeTimezone: null,
+    fingerprintCookieDays: 365,
+    hardwareCookieDays: 365,
+    autostart: true,
+    batchSize: 10,
+    flushInterval: 5000,
+    maxRetries: 8,
+    maxQueueSize: 100,
+    consentMode: "none",
+    pendingEvents: "buffer",
+    cartInstrumentation: true,
+    spaTracking: true,
+    trackHashChanges: false,
+    legacyFingerprint: true,
+    botMode: "tag",
+    botThreshold: 50,
+    autoIdentify: true,
+    hashEmails: false,
+    destinations: [],
+    webhookUrl: null,
+    cookieDomain: null,
+    secureCookies: true,
+    storageLayers: ["cookie", "localStorage", "indexedDB"],
+    pageTypeRules: [],
+    platform: "auto",
+  };
+
+  // Bumped whenever fingerprint components or their encoding change
+  const FINGERPRINT_VERSION = 2;
+  // localStorage key holding events that have not been delivered yet
+  const QUEUE_STORAGE_KEY = "vt_queue";
+
+  // Retry backoff bounds in milliseconds
+  const RETRY_BASE_DELAY = 1000;
+  const RETRY_MAX_DELAY = 60000;
+
+  // Transport state: undelivered events, the batch being sent and timers
+  let eventQueue = [];
+  let inFlightIds = [];
+  let flushTimer = null;
+  let retryCount = 0;
+  let queueRestored = false;
+
+  // URL parameters that mark a new campaign visit (and so a new session)
+  const CAMPAIGN_PARAMS = [
+    "utm_source",
+    "utm_medium",
+    "utm_campaign",
+    "gclid",
+    "fbclid",
+    "ttclid",
+    "msclkid",
+  ];
+
+  // Attribution: tagged-URL parameters, ad click IDs and referrer hosts
+  const UTM_PARAMS = ["source", "medium", "campaign", "term", "content"];
+  const CLICK_ID_PARAMS = ["gclid", "fbclid", "ttclid", "msclkid"];
+  const SEARCH_ENGINE_PATTERN =
+    /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia|ask|naver|seznam)(\.|$)/;
+  const SOCIAL_PATTERN =
+    /(^|\.)(facebook|fb|instagram|twitter|x|t\.co|linkedin|lnkd|pinterest|pin\.it|tiktok|youtube|reddit|snapchat|whatsapp|threads)(\.|$)/;
+  const EMAIL_PATTERN =
+    /^(mail\.google|outlook\.live|outlook\.office|mail\.yahoo|mail\.aol)\.|(^|\.)(klaviyo|mailchimp|omnisend)(\.|$)|e-?mail|newsletter/;
+  const PAID_MEDIUM_PATTERN =
+    /^(cpc|ppc|cpm|cpv|paid|paidsearch|paid_search|paid_social|paidsocial|display|banner|retargeting|ads?)$/;
+
+  // Consent state ({ analytics, marketing }) and work deferred until granted
+  const MAX_PENDING_ACTIONS = 20;
+  let consentState = null;
+  let pendingActions = [];
+  let consentRequested = false;
+
+  // sessionStorage key for a non-AJAX /cart/add form post awaiting its result
+  const PENDING_ADD_STORAGE_KEY = "vt_pending_add";
+  const PENDING_ADD_MAX_AGE = 30000;
+
+  // How long a matched cart button click waits for a cart request before
+  // the selector fallback reports it
+  const SELECTOR_FALLBACK_DELAY = 2500;
+
+  // Keys every commerce event item carries
+  const ITEM_FIELDS = [
+    "variantId",
+    "productId",
+    "quantity",
+    "price",
+    "currency",
+    "title",
+    "variantTitle",
+    "sku",
+    "vendor",
+    "handle",
+  ];
+
+  // Events that need the cart instrumentation
+  const CART_EVENTS = [
+    "add_to_cart",
+    "view_cart",
+    "remove_from_cart",
+    "cart_quantity_change",
+    "begin_checkout",
+  ];
+
+  // Elements that send the shopper from the cart to checkout
+  const CHECKOUT_SELECTORS = [
+    '[name="checkout"]',
+    'a[href*="/checkout"]',
+    'form[action*="/checkout"] [type="submit"]',
+    ".cart__checkout",
+    ".cart__checkout-button",
+    "[data-checkout-button]",
+  ];
+
+  // Storage keys for checkout and purchase de-duplication
+  const CHECKOUT_STORAGE_KEY = "vt_checkout_at";
+  const CHECKOUT_DEDUPE_WINDOW = 10000;
+  const ORDERS_STORAGE_KEY = "vt_orders";
+
+  // localStorage keys of the first and last attribution touch (cookies
+  // before, which rode along on every storefront request)
+  const TOUCH_STORAGE_KEYS = ["vt_ft", "vt_lt"];
+
+  // Cart instrumentation state, including the originals of patched globals
+  let cartInstrumented = false;
+  let cartEventsBound = false;
+  let cartSnapshot = null;
+  let lastCartRequestAt = 0;
+  let originalFetch = null;
+  let originalXhrOpen = null;
+  let originalXhrSend = null;
+
+  // SPA navigation: rapid URL changes settle for this long before reporting
+  const NAVIGATION_DEBOUNCE_DELAY = 300;
+
+  // History API hooks and the page the last page visit was reported for
+  let historyInstrumented = false;
+  let originalPushState = null;
+  let originalReplaceState = null;
+  let navigationTimer = null;
+  let currentPageKey = null;
+  let currentPageUrl = window.location.href;
+  let currentReferrer = document.referrer;
+
+  // Path of the hard page load. Platform page data (Shopify's page type,
+  // the Stencil page type) describes this page and goes stale after
+  // pushState navigation.
+  const loadedPath = window.location.pathname;
+
+  // Built-in destinations. map() turns a payload into the destination's
+  // event (null to skip it), send() delivers it; marketing destinations
+  // need marketing consent.
+  const GA4_EVENTS = [
+    "view_item",
+    "add_to_cart",
+    "remove_from_cart",
+    "view_cart",
+    "begin_checkout",
+    "purchase",
+  ];
+  const META_PIXEL_EVENTS = {
+    view_item: "ViewContent",
+    add_to_cart: "AddToCart",
+    begin_checkout: "InitiateCheckout",
+    purchase: "Purchase",
+  };
+  const BUILT_IN_DESTINATIONS = {
+    dataLayer: {
+      map: function (payload) {
+        const event = payload.event || "page_visit";
+
+        // Commerce events use GA4's recommended ecommerce schema
+        if (GA4_EVENTS.indexOf(event) !== -1) {
+          return {
+            event: event,
+            ecommerce: {
+              transaction_id: payload.orderId || undefined,
+              currency: payload.currency,
+              value: payload.value,
+              items: (payload.items || []).map((item) => ({
+                item_id: item.productId || item.variantId,
+                item_name: item.title,
+                item_variant: item.variantTitle,
+                item_brand: item.vendor,
+                price: item.price,
+                quantity: item.quantity,
+              })),
+            },
+          };
+        }
+
+        // Everything else keeps our name, prefixed unless it is custom
+        return Object.assign(
+          { event: payload.custom ? event : "vt_" + event },
+          payload.properties
+        );
+      },
+      send: function (event) {
+        window.dataLayer = window.dataLayer || [];
+        if (event.ecommerce) window.dataLayer.push({ ecommerce: null });
+        window.dataLayer.push(event);
+      },
+    },
+
+    metaPixel: {
+      marketing: true,
+      map: function (payload) {
+        const name = META_PIXEL_EVENTS[payload.event];
+        if (!name) return null;
+
+        const items = payload.items || [];
+        return {
+          name: name,
+          eventId: payload.eventId,
+          params: {
+            content_type: "product",
+            content_ids: items.map((item) => item.variantId),
+            contents: items.map((item) => ({
+              id: item.variantId,
+              quantity: item.quantity,
+            })),
+            value: payload.value,
+            currency: payload.currency,
+          },
+        };
+      },
+      send: function (event) {
+        if (typeof window.fbq !== "function") return;
+        window.fbq("track", event.name, event.params, {
+          eventID: event.eventId,
+        });
+      },
+    },
+
+    webhook: {
+      map: function (payload) {
+        return payload;
+      },
+      send: function (payload, config) {
+        if (!config.webhookUrl) return;
+        return fetch(config.webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+          keepalive: true,
+        });
+      },
+    },
+  };
+
+  // Debug mode: URL switch, per-tab flag and inspector size
+  const DEBUG_PARAM = "vt_debug";
+  const DEBUG_STORAGE_KEY = "vt_debug";
+  const DEBUG_MAX_ENTRIES = 50;
+
+  // Web vitals: layout shifts closer than 1s share a CLS session window,
+  // which is capped at 5s; interactions under 40ms cannot be the INP
+  const CLS_SESSION_GAP = 1000;
+  const CLS_SESSION_MAX = 5000;
+  const INP_DURATION_THRESHOLD = 40;
+
+  // Engagement: the tick that accumulates active time and the idle cutoff
+  const ENGAGEMENT_TICK = 1000;
+  const IDLE_TIMEOUT = 30000;
+  const ENGAGEMENT_INPUT_EVENTS = [
+    "mousemove",
+    "mousedown",
+    "keydown",
+    "scroll",
+    "wheel",
+    "touchstart",
+  ];
+
+  // The current page view and its engagement totals
+  let currentPageViewId = null;
+  let engagement = null;
+  let engagementTimer = null;
+
+  // Web vitals of the current page view and the observers feeding them
+  let vitals = null;
+  let vitalsObservers = [];
+
+  // Page types for Shopify's meta.page.pageType and template names
+  const SHOPIFY_PAGE_TYPES = {
+    home: "home",
+    index: "home",
+    product: "product",
+    collection: "collection",
+    "list-collections": "collection",
+    search: "search",
+    searchresults: "search",
+    cart: "cart",
+    page: "page",
+    blog: "blog",
+    article: "article",
+    "customers/account": "account",
+    "customers/addresses": "account",
+    "customers/order": "account",
+    "customers/login": "login",
+    "customers/register": "login",
+    "customers/reset_password": "login",
+    "customers/activate_account": "login",
+    policy: "policy",
+    404: "not_found",
+    checkout: "checkout",
+    thank_you: "order_status",
+    order_status: "order_status",
+  };
+
+  // Shopify page type rules, first match wins. path is tested against the
+  // lower-cased path without its locale prefix.
+  const SHOPIFY_PAGE_RULES = [
+    { type: "home", path: /^\/(index)?$/ },
+    { type: "order_status", path: /^\/(\d+\/)?orders\/|\/thank[_-]you\/?$/ },
+    { type: "checkout", path: /^\/(\d+\/)?checkouts?(\/|$)/ },
+    { type: "cart", path: /^\/cart\/?$/ },
+    { type: "product", path: /^\/(collections\/[^/]+\/)?(products?|p)\/[^/]+/ },
+    { type: "collection", path: /^\/collections(\/|$)/ },
+    { type: "search", path: /^\/search(\/|$)/ },
+    { type: "article", path: /^\/blogs\/[^/]+\/[^/]+/ },
+    { type: "blog", path: /^\/blogs(\/|$)/ },
+    {
+      type: "login",
+      path: /^\/account\/(login|register|reset|activate|recover)/,
+    },
+    { type: "account", path: /^\/account(\/|$)/ },
+    { type: "policy", path: /^\/policies\// },
+    { type: "page", path: /^\/pages\// },
+    { type: "product", selector: ".product-detail, [data-product-id]" },
+  ];
+
+  // First path segments of Shopify storefront routes, used to tell a
+  // locale prefix (/fr/products) from an ordinary path
+  const STOREFRONT_ROOTS =
+    /^(products|product|collections|cart|checkout|checkouts|search|blogs|pages|account|policies|orders)$/;
+
+  // Common selectors for Add to Cart buttons in Shopify themes
+  const SHOPIFY_CART_BUTTONS = [
+    // Your existing selectors:
+    'button[name="add"]',
+    "button.add-to-cart",
+    "button.product-form--add-to-cart",
+    "button.product-form__cart-submit",
+    "button.ProductForm__AddToCart",
+    'button[data-action="add-to-cart"]',
+    'input[name="add"]',
+    "input.add-to-cart",
+    'form[action*="/cart/add"] button',
+    'form[action*="/cart/add"] input[type="submit"]',
+
+    // *** NEW POSSIBLE SELECTORS TO ADD: ***
+
+    // Generic button/input types:
+    'input[type="submit"][name="add"]',
+    'input[type="button"][name="add"]',
+
+    // Common classes from various themes (Debut, Supply, Brooklyn, Narrative, etc.):
+    ".product__add-to-cart",
+    ".add-to-cart-btn",
+    ".btn--add-to-cart",
+    ".add-to-cart-button",
+    ".single_add_to_cart_button", // Some themes might borrow from WooCommerce patterns
+    ".js-add-to-cart", // Generic JS hook
+    ".shopify-payment-button__button", // Sometimes buy-now buttons also add to cart
+    "button.add-to-cart--button",
+    "input.add-to-cart--input",
+
+    // Data attributes often used for JS hooks or identifying elements:
+    "[data-cart-submit]",
+    "[data-add-to-cart]",
+    "[data-buy-button]",
+    "[data-product-submit-button]",
+    '[data-button-action="add-to-cart"]',
+
+    // Form specific selectors (in case the form itself has an id/class):
+    'form#AddToCartForm button[type="submit"]', // Common form ID
+    'form[action="/cart/add"] button', // More specific form action targeting
+    'form.product-form button[type="submit"]',
+    'form.shopify-product-form button[type="submit"]',
+
+    // Specific to quick-view modals or AJAX carts:
+    ".js-quick-view-add-to-cart", // If quick-view has its own button
+    ".modal__add-to-cart-button", // Button inside a modal
+    ".cart-drawer__add-to-cart", // For themes with cart drawers
+  ];
+
+  // WordPress body classes WooCommerce pages carry, first match wins
+  const WOOCOMMERCE_PAGE_RULES = [
+    { type: "order_status", selector: "body.woocommerce-order-received" },
+    { type: "checkout", selector: "body.woocommerce-checkout" },
+    { type: "cart", selector: "body.woocommerce-cart" },
+    { type: "product", selector: "body.single-product" },
+    { type: "login", selector: "body.woocommerce-account:not(.logged-in)" },
+    { type: "account", selector: "body.woocommerce-account" },
+    {
+      type: "collection",
+      selector:
+        "body.post-type-archive-product, body.tax-product_cat, body.tax-product_tag",
+    },
+    { type: "search", selector: "body.search" },
+    { type: "home", selector: "body.home" },
+    { type: "article", selector: "body.single-post" },
+    { type: "blog", selector: "body.blog, body.category, body.tag" },
+    { type: "not_found", selector: "body.error404" },
+    { type: "page", selector: "body.page" },
+  ];
+
+  // Page types Stencil themes pass to stencilBootstrap()
+  const BIGCOMMERCE_PAGE_TYPES = {
+    default: "home",
+    product: "product",
+    category: "collection",
+    brand: "collection",
+    brands: "collection",
+    search: "search",
+    cart: "cart",
+    checkout: "checkout",
+    order_complete: "order_status",
+    blog: "blog",
+    blog_post: "article",
+    page: "page",
+    login: "login",
+    404: "not_found",
+  };
+
+  // BigCommerce routes, for themes without the Stencil page type
+  const BIGCOMMERCE_PAGE_RULES = [
+    { type: "home", path: /^\/$/ },
+    { type: "order_status", path: /^\/checkout\/order-confirmation/ },
+    { type: "checkout", path: /^\/checkout(\/|$)/ },
+    { type: "cart", path: /^\/cart\.php$/ },
+    { type: "search", path: /^\/search\.php$/ },
+    { type: "login", path: /^\/login\.php$/ },
+    { type: "account", path: /^\/account\.php$/ },
+    { type: "article", path: /^\/blog\/[^/]+/ },
+    { type: "blog", path: /^\/blog\/?$/ },
+    { type: "product", selector: "form[data-cart-item-add]" },
+  ];
+
+  // Magento 2 layout handles, which it adds to <body> as classes
+  const MAGENTO_PAGE_RULES = [
+    { type: "order_status", selector: "body.checkout-onepage-success" },
+    { type: "checkout", selector: "body.checkout-index-index" },
+    { type: "cart", selector: "body.checkout-cart-index" },
+    { type: "product", selector: "body.catalog-product-view" },
+    { type: "collection", selector: "body.catalog-category-view" },
+    {
+      type: "search",
+      selector:
+        "body.catalogsearch-result-index, body.catalogsearch-advanced-result",
+    },
+    {
+      type: "login",
+      selector:
+        "body.customer-account-login, body.customer-account-create, body.customer-account-forgotpassword",
+    },
+    { type: "account", selector: "body.account" },
+    { type: "not_found", selector: "body.cms-noroute-index" },
+    { type: "home", selector: "body.cms-index-index" },
+    { type: "page", selector: "body.cms-page-view" },
+  ];
+
+  // Storefront platforms, detected in this order. An adapter supplies:
+  //   detect()                   true when the page runs on the platform
+  //   getVendorId()              store ID, or null to use the store domain
+  //   getPageType(tracker)       page type from the platform's page data
+  //   pageTypeRules              rules tried after config.pageTypeRules
+  //   cartButtons                buttons reported by the click fallback
+  //   cartForm                   forms posting an add to another URL
+  //   cartAddRule                detectionRule of adds seen on the network
+  //   getCartAction(url)         cart endpoint a same-origin URL targets
+  //   getCartLines(data)         [{ id, productId, quantity }] an add asks for
+  //   formAddFailed(tracker)     true when the page after a form-posted add
+  //                              shows it failed, default: still on the add
+  //                              URL (Shopify renders the error there)
+  //   getAddedItems(data, requested, tracker)
+  //                              items an add response confirms (null: the
+  //                              add failed), default: the requested ones
+  //   setupCartEvents(tracker)   subscribe to the platform's cart events
+  //   readProduct(tracker)       product sources for the current page
+  //   collectionPattern          path pattern capturing a collection handle
+  //   ajaxCart                   /cart.js returns the Shopify AJAX cart
+  const PLATFORM_ADAPTERS = {
+    shopify: {
+      detect: function () {
+        return Boolean(window.Shopify || window.ShopifyAnalytics);
+      },
+      getPageType: function (tracker) {
+        return tracker.getShopifyPageType();
+      },
+      pageTypeRules: SHOPIFY_PAGE_RULES,
+      cartButtons: SHOPIFY_CART_BUTTONS,
+      cartAddRule: "/cart/add",
+      getCartAction: function (url) {
+        const match = url.pathname.match(
+          /\/cart\/(add|change|update|clear)(\.js)?\/?$/
+        );
+        if (match) return match[1];
+        if (/\/cart\.js$/.test(url.pathname)) return "get";
+        return null;
+      },
+      // { id, quantity } or { items: [{ id, quantity }, ...] }
+      getCartLines: function (data) {
+        return Array.isArray(data.items) ? data.items : [data];
+      },
+      getAddedItems: function (data, requested, tracker) {
+        // add.js returns the added line, or { items } for multiple lines
+        let items = [];
+        if (data && Array.isArray(data.items)) {
+          items = data.items.map((line) => tracker.normalizeCartItem(line));
+        } else if (data && (data.variant_id || data.id)) {
+          items = [tracker.normalizeCartItem(data)];
+        }
+
+        // The response echoes the line total, report the requested quantity
+        items.forEach((item) => {
+          const match = requested.find((r) => r.variantId === item.variantId);
+          if (match) item.quantity = match.quantity;
+        });
+        return items.length ? items : requested;
+      },
+      readProduct: function (tracker) {
+        return [tracker.readMetaProduct(), tracker.readProductJson()];
+      },
+      collectionPattern: /\/collections\/([^/?#]+)/,
+      ajaxCart: true,
+    },
+
+    woocommerce: {
+      detect: function () {
+        return Boolean(
+          window.wc_add_to_cart_params ||
+            window.woocommerce_params ||
+            (document.body &&
+              /\bwoocommerce(-page)?\b/.test(document.body.className))
+        );
+      },
+      pageTypeRules: WOOCOMMERCE_PAGE_RULES,
+      cartButtons: [
+        ".single_add_to_cart_button",
+        ".add_to_cart_button",
+        'button[name="add-to-cart"]',
+      ],
+      // Product forms post to the product page itself
+      cartForm: "form.cart",
+      // A failed add (out of stock, missing options) re-renders the same
+      // product page with an error notice
+      formAddFailed: function () {
+        return Boolean(
+          document.querySelector(
+            ".woocommerce-error, .wc-block-components-notice-banner.is-error"
+          )
+        );
+      },
+      cartAddRule: "add-to-cart",
+      getCartAction: function (url) {
+        // Store API, used by the block-based product and cart pages
+        return /\/wc\/store(\/v\d+)?\/cart\/add-item\/?$/.test(url.pathname)
+          ? "add"
+          : null;
+      },
+      // Product form fields, or a Store API { id, quantity } body
+      getCartLines: function (data) {
+        return [
+          {
+            id: data.variation_id || data["add-to-cart"] || data.id,
+            productId: data["add-to-cart"] || null,
+            quantity: data.quantity,
+          },
+        ];
+      },
+      setupCartEvents: function (tracker) {
+        const jQuery = window.jQuery;
+        if (!jQuery) return false;
+
+        // Classic themes announce AJAX adds with jQuery events on <body>
+        const body = jQuery(document.body);
+        body.on("adding_to_cart", function () {
+          tracker.markCartRequest();
+        });
+        body.on("added_to_cart", function (event, fragments, hash, button) {
+          const productId = button && button.data && button.data("product_id");
+          tracker.trackAddToCart({
+            detection: "event",
+            rule: "added_to_cart",
+            items: productId
+              ? tracker.getRequestedItems({
+                  "add-to-cart": productId,
+                  quantity: button.data("quantity"),
+                })
+              : [],
+          });
+        });
+        return true;
+      },
+      readProduct: function (tracker) {
+        return [tracker.readWooCommerceProduct()];
+      },
+      collectionPattern: /\/product-category\/(?:[^/?#]+\/)*([^/?#]+)/,
+    },
+
+    bigcommerce: {
+      detect: function () {
+        return Boolean(
+          window.BCData ||
+            window.stencilBootstrap ||
+            document.querySelector('script[src*=".bigcommerce.com/s-"]')
+        );
+      },
+      // Store hash from theme asset URLs (cdn11.bigcommerce.com/s-abc123/)
+      getVendorId: function () {
+        const asset = document.querySelector(
+          'script[src*=".bigcommerce.com/s-"], link[href*=".bigcommerce.com/s-"]'
+        );
+        const match =
+          asset &&
+          /\.bigcommerce\.com\/(s-[a-z0-9]+)\//i.exec(asset.src || asset.href);
+        return match ? match[1] : null;
+      },
+      getPageType: function (tracker) {
+        return tracker.getBigCommercePageType();
+      },
+      pageTypeRules: BIGCOMMERCE_PAGE_RULES,
+      cartButtons: [
+        "#form-action-addToCart",
+        '[data-button-type="add-cart"]',
+        'a[href*="cart.php?action=add"]',
+      ],
+      cartForm: "form[data-cart-item-add]",
+      cartAddRule: "/remote/v1/cart/add",
+      getCartAction: function (url) {
+        return /\/remote\/v1\/cart\/add\/?$/.test(url.pathname) ? "add" : null;
+      },
+      // Stencil product form fields: product_id and qty[]
+      getCartLines: function (data) {
+        return [
+          {
+            id: data.product_id,
+            productId: data.product_id,
+            quantity: data["qty[]"] || data.qty,
+          },
+        ];
+      },
+      getAddedItems: function (data, requested) {
+        // Rejected adds still answer 200, with data.error set
+        return data && data.data && data.data.error ? null : requested;
+      },
+      readProduct: function (tracker) {
+        return [tracker.readBigCommerceProduct()];
+      },
+    },
+
+    magento: {
+      detect: function () {
+        return Boolean(
+          window.Mage ||
+            document.querySelector('script[type="text/x-magento-init"]')
+        );
+      },
+      pageTypeRules: MAGENTO_PAGE_RULES,
+      cartButtons: ["#product-addtocart-button", "button.tocart"],
+      cartAddRule: "/checkout/cart/add",
+      getCartAction: function (url) {
+        return /\/checkout\/cart\/add(\/|$)/.test(url.pathname) ? "add" : null;
+      },
+      // A failed add redirects back to the product page with an error
+      // message, rendered from the mage-messages cookie after load
+      formAddFailed: function (tracker) {
+        if (document.querySelector(".message-error")) return true;
+
+        let messages = [];
+        try {
+          messages = JSON.parse(tracker.getCookie("mage-messages")) || [];
+        } catch (e) {
+          // No pending messages
+        }
+        return []
+          .concat(messages)
+          .some((message) => message && message.type === "error");
+      },
+      // Product form fields: product, qty and the chosen configurable child
+      getCartLines: function (data) {
+        return [
+          {
+            id: data.selected_configurable_option || data.product,
+            productId: data.product,
+            quantity: data.qty,
+          },
+        ];
+      },
+      readProduct: function (tracker) {
+        return [tracker.readMagentoProduct()];
+      },
+    },
+  };
+
+  // Detected storefront platform (null until one is recognised)
+  let platformName = null;
+
+  // Identity storage: IDs kept in every layer and the IndexedDB location
+  const IDENTITY_KEYS = ["vt_vid", "vt_cid"];
+  const IDENTITY_DB_NAME = "vt_identity";
+  const IDENTITY_STORE_NAME = "ids";
+  const IDENTITY_RESTORE_TIMEOUT = 500;
+
+  // IDs loaded from IndexedDB, and where this page's visitor ID came from
+  let storedIdentities = {};
+  let identityRestore = null;
+  let visitorIdSource = null;
+
+  // Parent domain found for cookieDomain "auto" (undefined until probed)
+  let autoCookieDomain;
+
+  // Errors: per page view limit and the size of reported texts
+  const MAX_ERRORS_PER_PAGE_VIEW = 10;
+  const MAX_ERROR_MESSAGE_LENGTH = 500;
+  const MAX_ERROR_STACK_LENGTH = 2000;
+
+  // Errors already reported in the current page view, by dedupe key
+  let reportedErrors = {};
+  let reportingError = false;
+
+  // Time the tracker spent in collectVisitorData on this page
+  const trackerCost = { collectVisitorDataMs: 0, collectVisitorDataCalls: 0 };
+
+  // High-entropy User-Agent Client Hints requested once per page load
+  const CLIENT_HINT_KEYS = [
+    "platformVersion",
+    "model",
+    "fullVersionList",
+    "architecture",
+    "bitness",
+  ];
+  const CLIENT_HINTS_TIMEOUT = 1000;
+
+  // Bot score for this page load (see getBotAssessment)
+  let botAssessment = null;
+
+  // Resolved high-entropy hints (null until loaded or when unsupported)
+  let clientHints = null;
+  let clientHintsRequest = null;
+
+  // SHA-256 digests by input, as promises so concurrent events share work
+  const digestCache = {};
+
+  // Lifecycle state and every listener registered by start()
+  let running = false;
+  let destroyed = false;
+  let pageVisitSent = false;
+  let registeredListeners = [];
+
+  // Destination adapters by name, built-in plus addDestination()
+  let destinations = Object.assign({}, BUILT_IN_DESTINATIONS);
+
+  // Debug inspector element and its rows by eventId
+  let debugOverlay = null;
+  let debugRows = {};
+
+  // Public API subscribers and payload middleware
+  let apiHandlers = {};
+  let middlewares = [];
+
+  // Theme code and an app embed may both include the script, first one wins
+  if (window.visitorTracker && window.visitorTracker.isRunning) {
+    return;
+  }
+
+  // Only available while the script is first executing
+  const currentScript =
+    document.currentScript ||
+    document.querySelector("script[data-endpoint], script[data-vendor-id]");
 
   // Create tracking object
   window.visitorTracker = {
-    // Cookie helper functions
-    setCookie: function (name, value, days) {
-      const d = new Date();
-      d.setTime(d.getTime() + days * 24 * 60 * 60 * 1000);
-      document.cookie =
-        name +
-        "=" +
-        value +
-        ";expires=" +
-        d.toUTCString() +
-        ";path=/;SameSite=Lax";
+    // Resolved configuration (see loadConfig)
+    config: Object.assign({}, DEFAULT_CONFIG),
+
+    // Merge defaults, script tag data-* attributes and window config
+    loadConfig: function () {
+      const config = Object.assign({}, DEFAULT_CONFIG);
+      const scriptConfig = this.readScriptConfig();
+      const windowConfig = window.visitorTrackerConfig || {};
+
+      [scriptConfig, windowConfig].forEach((source) => {
+        Object.keys(source).forEach((key) => {
+          if (!(key in DEFAULT_CONFIG)) return;
+          const value = this.coerceConfigValue(key, source[key]);
+          if (value !== undefined) config[key] = value;
+        });
+      });
+
+      if (this.isDebugRequested()) config.debug = true;
+
+      this.config = config;
+      this.debugLog("Resolved config", config);
+      return config;
+    },
+
+    // ?vt_debug=1 turns debug mode on for the rest of the tab, 0 turns it off
+    isDebugRequested: function () {
+      try {
+        const param = new URLSearchParams(window.location.search).get(
+          DEBUG_PARAM
+        );
+        if (param === "1") sessionStorage.setItem(DEBUG_STORAGE_KEY, "1");
+        if (param === "0") sessionStorage.removeItem(DEBUG_STORAGE_KEY);
+        return sessionStorage.getItem(DEBUG_STORAGE_KEY) === "1";
+      } catch (e) {
+        return false;
+      }
+    },
+
+    // Read options from data-* attributes on the injecting script tag
+    readScriptConfig: function () {
+      if (!currentScript || !currentScript.dataset) return {};
+      const result = {};
+      Object.keys(currentScript.dataset).forEach((key) => {
+        result[key] = currentScript.dataset[key];
+      });
+      return result;
+    },
+
+    // Convert attribute strings to the type of the default value
+    coerceConfigValue: function (key, value) {
+      const defaultValue = DEFAULT_CONFIG[key];
+      if (value === null || value === undefined) return undefined;
+
+      if (Array.isArray(defaultValue)) {
+        if (Array.isArray(value)) return value;
+        return String(value)
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+      }
+
+      if (typeof defaultValue === "boolean") {
+        if (typeof value === "boolean") return value;
+        return !/^(false|0|no|off)$/i.test(String(value).trim());
+      }
+
+      if (typeof defaultValue === "number") {
+        const number = parseFloat(value);
+        return isNaN(number) ? undefined : number;
+      }
+
+      return value === "" ? undefined : value;
+    },
+
+    // Check whether an event type is enabled in the config
+    isEventEnabled: function (eventType) {
+      return this.config.events.indexOf(eventType) !== -1;
+    },
+
+    // Log only when the debug flag is set
+    debugLog: function () {
+      if (!this.config.debug) return;
+      const args = Array.prototype.slice.call(arguments);
+      console.log.apply(console, ["[visitorTracker]"].concat(args));
+    },
+
+    // Show the event inspector and follow the transport events
+    setupDebugOverlay: function () {
+      if (debugOverlay) return;
+      if (!document.body) {
+        this.listen(document, "DOMContentLoaded", () =>
+          this.setupDebugOverlay()
+        );
+        return;
+      }
+
+      debugOverlay = document.createElement("div");
+      debugOverlay.setAttribute("data-vt-debug", "");
+      debugOverlay.style.cssText =
+        "position:fixed;bottom:8px;right:8px;z-index:2147483647;width:360px;max-height:50vh;overflow:auto;background:#1e1e2f;color:#eee;font:12px/1.4 monospace;border-radius:4px;box-shadow:0 2px 8px rgba(0,0,0,.4);";
+
+      const header = document.createElement("div");
+      header.textContent = "visitorTracker debug (click to collapse)";
+      header.style.cssText =
+        "padding:6px 8px;background:#4834d4;font-weight:bold;cursor:pointer;position:sticky;top:0;";
+      const list = document.createElement("div");
+      header.addEventListener("click", function () {
+        list.style.display = list.style.display === "none" ? "" : "none";
+      });
+
+      debugOverlay.appendChild(header);
+      debugOverlay.appendChild(list);
+      document.body.appendChild(debugOverlay);
+
+      this.on("queued", (payload) =>
+        this.updateDebugOverlay(payload, "queued")
+      );
+      this.on("sent", (info) => {
+        info.events.forEach((payload) =>
+          this.updateDebugOverlay(payload, "sent")
+        );
+      });
+      this.on("failed", (info) => {
+        info.events.forEach((payload) =>
+          this.updateDebugOverlay(payload, "failed")
+        );
+      });
+    },
+
+    // Add or update the inspector row for an event
+    updateDebugOverlay: function (payload, status) {
+      if (!debugOverlay) return;
+      const list = debugOverlay.lastChild;
+      let row = debugRows[payload.eventId];
+
+      if (!row) {
+        row = document.createElement("div");
+        row.style.cssText =
+          "padding:4px 8px;border-top:1px solid #333;cursor:pointer;";
+        const summary = document.createElement("div");
+        const details = document.createElement("pre");
+        details.style.cssText =
+          "display:none;margin:4px 0 0;white-space:pre-wrap;word-break:break-all;color:#aaa;";
+        details.textContent = JSON.stringify(payload, null, 2);
+        row.appendChild(summary);
+        row.appendChild(details);
+        row.addEventListener("click", function () {
+          details.style.display =
+            details.style.display === "none" ? "" : "none";
+        });
+
+        debugRows[payload.eventId] = row;
+        list.insertBefore(row, list.firstChild);
+
+        // Keep the newest rows only
+        while (list.childNodes.length > DEBUG_MAX_ENTRIES) {
+          list.removeChild(list.lastChild);
+        }
+      }
+
+      const colors = { queued: "#f0ad4e", sent: "#5cb85c", failed: "#d9534f" };
+      const rule = payload.detection
+        ? ` via ${payload.detection}${
+            payload.detectionRule ? ` (${payload.detectionRule})` : ""
+          }`
+        : "";
+      row.firstChild.textContent = `${(payload.timestamp || "").substr(
+        11,
+        8
+      )} ${payload.event || "page_visit"} [${status}]${rule}`;
+      row.firstChild.style.color = colors[status];
+    },
+
+    // Cookie helper functions
+    setCookie: function (name, value, days) {
+      const d = new Date();
+      d.setTime(d.getTime() + days * 24 * 60 * 60 * 1000);
+      const domain = this.getCookieDomain();
+
+      // A host-only copy from before cookieDomain was set would shadow it
+      if (domain) {
+        document.cookie =
+          name + "=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/;SameSite=Lax";
+      }
+
+      document.cookie =
+        name +
+        "=" +
+        encodeURIComponent(value) +
+        ";expires=" +
+        d.toUTCString() +
+        ";path=/;SameSite=Lax" +
+        (domain ? ";domain=" + domain : "") +
+        (this.config.secureCookies && window.location.protocol === "https:"
+          ? ";Secure"
+          : "");
+    },
+
+    getCookie: function (name) {
+      const v = document.cookie.match("(^|;) ?" + name + "=([^;]*)(;|$)");
+      if (!v) return null;
+      try {
+        return decodeURIComponent(v[2]);
+      } catch (e) {
+        return v[2];
+      }
+    },
+
+    // Remove the cookie both host-only and on the configured domain
+    deleteCookie: function (name) {
+      const expired =
+        name + "=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/;SameSite=Lax";
+      const domain = this.getCookieDomain();
+      document.cookie = expired;
+      if (domain) document.cookie = expired + ";domain=" + domain;
+    },
+
+    // Domain attribute for cookies, null for host-only cookies
+    getCookieDomain: function () {
+      const setting = this.config.cookieDomain;
+      if (!setting) return null;
+      if (setting !== "auto") return setting;
+
+      // The shortest suffix the browser accepts is the registrable domain
+      if (autoCookieDomain === undefined) {
+        autoCookieDomain = null;
+        const parts = window.location.hostname.split(".");
+        for (let i = parts.length - 2; i >= 0; i--) {
+          const candidate = parts.slice(i).join(".");
+          document.cookie = `vt_probe=1;path=/;domain=${candidate}`;
+          if (document.cookie.indexOf("vt_probe=1") !== -1) {
+            document.cookie = `vt_probe=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/;domain=${candidate}`;
+            autoCookieDomain = candidate;
+            break;
+          }
+        }
+      }
+      return autoCookieDomain;
+    },
+
+    // Write an ID to every configured storage layer
+    writeIdentity: function (name, value, days) {
+      const layers = this.config.storageLayers;
+
+      if (layers.indexOf("cookie") !== -1) {
+        this.setCookie(name, value, days);
+      }
+      if (layers.indexOf("localStorage") !== -1) {
+        try {
+          localStorage.setItem(name, value);
+        } catch (e) {
+          // Storage unavailable or full
+        }
+      }
+      if (
+        layers.indexOf("indexedDB") !== -1 &&
+        storedIdentities[name] !== value
+      ) {
+        storedIdentities[name] = value;
+        this.updateIdentityDb((store) => store.put(value, name));
+      }
+    },
+
+    // Read an ID from the first layer that still has it: { value, source }
+    readIdentity: function (name) {
+      const layers = this.config.storageLayers;
+      const readers = {
+        cookie: () => this.getCookie(name),
+        localStorage: () => localStorage.getItem(name),
+        indexedDB: () => storedIdentities[name],
+      };
+
+      for (let i = 0; i < layers.length; i++) {
+        if (!readers[layers[i]]) continue;
+        try {
+          const value = readers[layers[i]]();
+          if (value) return { value: value, source: layers[i] };
+        } catch (e) {
+          // Layer unavailable, try the next one
+        }
+      }
+      return { value: null, source: null };
+    },
+
+    // Load IDs kept in IndexedDB once per page. Resolves when done, or
+    // after a short timeout where IndexedDB is slow or blocked.
+    restoreIdentity: function () {
+      if (identityRestore) return identityRestore;
+      if (this.config.storageLayers.indexOf("indexedDB") === -1) {
+        identityRestore = Promise.resolve();
+        return identityRestore;
+      }
+
+      const load = new Promise((resolve) => {
+        this.updateIdentityDb(
+          (store) => {
+            IDENTITY_KEYS.forEach((name) => {
+              const request = store.get(name);
+              request.onsuccess = function () {
+                if (request.result && !storedIdentities[name]) {
+                  storedIdentities[name] = request.result;
+                }
+              };
+            });
+          },
+          "readonly",
+          resolve
+        );
+      });
+      const timeout = new Promise((resolve) => {
+        setTimeout(resolve, IDENTITY_RESTORE_TIMEOUT);
+      });
+      identityRestore = Promise.race([load, timeout]);
+      return identityRestore;
+    },
+
+    // Run work against the IndexedDB identity store; done is called when
+    // the transaction ends or IndexedDB is unavailable
+    updateIdentityDb: function (work, mode, done) {
+      done = done || function () {};
+      let request;
+      try {
+        request = window.indexedDB.open(IDENTITY_DB_NAME, 1);
+      } catch (e) {
+        done();
+        return;
+      }
+
+      request.onupgradeneeded = function () {
+        request.result.createObjectStore(IDENTITY_STORE_NAME);
+      };
+      request.onerror = function () {
+        done();
+      };
+      request.onsuccess = function () {
+        const db = request.result;
+        try {
+          const transaction = db.transaction(
+            IDENTITY_STORE_NAME,
+            mode || "readwrite"
+          );
+          transaction.oncomplete =
+            transaction.onerror =
+            transaction.onabort =
+              function () {
+                db.close();
+                done();
+              };
+          work(transaction.objectStore(IDENTITY_STORE_NAME));
+        } catch (e) {
+          db.close();
+          done();
+        }
+      };
+    },
+
+    // Generate a random time-prefixed ID
+    generateId: function () {
+      return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    },
+
+    // Generate or retrieve the long-lived visitor ID
+    getOrCreateVisitorId: function () {
+      const stored = this.readIdentity("vt_vid");
+      let visitorId = stored.value;
+      let source = stored.source;
+      if (!visitorId) {
+        // vt_sid used to hold the long-lived ID, keep it for continuity
+        visitorId = this.getCookie("vt_sid");
+        source = visitorId ? "legacy" : "new";
+        visitorId = visitorId || this.generateId();
+        this.deleteCookie("vt_sid");
+      }
+      if (!visitorIdSource) visitorIdSource = source;
+
+      // Rewrite on every visit so the expiry keeps sliding, and so layers
+      // that lost the ID get it back
+      this.writeIdentity("vt_vid", visitorId, this.config.visitorCookieDays);
+      return visitorId;
+    },
+
+    // Retrieve the current session ID, starting a new session if needed
+    getOrCreateSessionId: function () {
+      return this.getSession().id;
+    },
+
+    // Load the session state, rotating it after inactivity, at midnight in
+    // the store timezone or when the visitor arrives from a new campaign.
+    // Pass { pageView: true } to count a page view in the session.
+    getSession: function (options) {
+      const now = Date.now();
+      const day = this.getStoreDate(new Date(now));
+      const campaignSource = this.getCampaignSource();
+      // The session cookie keeps a short hash of the campaign marker only
+      const source = campaignSource
+        ? this.sha256Fallback(campaignSource).substring(0, 12)
+        : "";
+      let session = null;
+
+      try {
+        session = JSON.parse(this.getCookie("vt_ses"));
+      } catch (e) {
+        // Missing or corrupt session cookie
+      }
+
+      const expired =
+        !session ||
+        now - session.last > this.config.sessionTimeout * 60 * 1000 ||
+        session.day !== day ||
+        (source && source !== session.src);
+
+      if (expired) {
+        session = {
+          id: this.generateId(),
+          seq: session ? session.seq + 1 : 1,
+          day: day,
+          src: source || "",
+          pv: 0,
+        };
+      }
+
+      session.last = now;
+      if (options && options.pageView) {
+        session.pv++;
+      }
+
+      this.setCookie(
+        "vt_ses",
+        JSON.stringify(session),
+        this.config.visitorCookieDays
+      );
+
+      return {
+        id: session.id,
+        sequence: session.seq,
+        pageViewIndex: session.pv,
+      };
+    },
+
+    // Calendar date (YYYY-MM-DD) in the store timezone
+    getStoreDate: function (date) {
+      try {
+        return new Intl.DateTimeFormat("en-CA", {
+          timeZone: this.config.storeTimezone || undefined,
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+        }).format(date);
+      } catch (e) {
+        // Unknown timezone, fall back to the visitor's local date
+        return date.toDateString();
+      }
+    },
+
+    // Campaign marker from the landing URL, or "" for a non-campaign visit
+    getCampaignSource: function () {
+      const params = new URLSearchParams(window.location.search);
+      return CAMPAIGN_PARAMS.filter((name) => params.get(name))
+        .map((name) => name + "=" + params.get(name))
+        .join("&");
+    },
+
+    // Kept for existing embeds, same as start()
+    init: function () {
+      return this.start();
+    },
+
+    // Campaign parameters and click ID from a URL
+    parseCampaign: function (href) {
+      let params;
+      try {
+        params = new URL(href).searchParams;
+      } catch (e) {
+        params = new URLSearchParams();
+      }
+
+      const campaign = {};
+      UTM_PARAMS.forEach((name) => {
+        campaign[name] = params.get("utm_" + name) || null;
+      });
+
+      const clickIdType = CLICK_ID_PARAMS.find((name) => params.get(name));
+      campaign.clickIdType = clickIdType || null;
+      campaign.clickId = clickIdType ? params.get(clickIdType) : null;
+      return campaign;
+    },
+
+    // Hostname of a URL, "" if it can't be parsed
+    getHostname: function (href) {
+      try {
+        return new URL(href).hostname.toLowerCase().replace(/^www\./, "");
+      } catch (e) {
+        return "";
+      }
+    },
+
+    // Assign a visit to a channel from its campaign tags and referrer
+    classifyChannel: function (campaign, referrer) {
+      const medium = (campaign.medium || "").toLowerCase();
+      const source = (campaign.source || "").toLowerCase();
+      const referrerHost = this.getHostname(referrer);
+
+      if (campaign.clickId || PAID_MEDIUM_PATTERN.test(medium)) return "paid";
+      if (EMAIL_PATTERN.test(medium)) return "email";
+      if (/social|^sm$/.test(medium)) return "social";
+      if (medium === "organic") return "organic_search";
+
+      // Without a known medium, classify the tagged source like a referrer
+      const host = source || referrerHost;
+      if (!host) return "direct";
+      if (!source && host === this.getHostname(window.location.href)) {
+        return "internal";
+      }
+      if (EMAIL_PATTERN.test(host)) return "email";
+      if (SEARCH_ENGINE_PATTERN.test(host)) return "organic_search";
+      if (SOCIAL_PATTERN.test(host)) return "social";
+      return "referral";
+    },
+
+    // Attribution touch for the current page
+    getCurrentTouch: function () {
+      const referrer = this.getReferrer() || null;
+      const campaign = this.parseCampaign(window.location.href);
+
+      return Object.assign(
+        {
+          channel: this.classifyChannel(campaign, referrer),
+          referrer: referrer,
+          landingPage: window.location.pathname,
+          timestamp: new Date().toISOString(),
+        },
+        campaign
+      );
+    },
+
+    // Record the current touch as first touch (once) and as last touch
+    // unless it is direct or internal navigation
+    updateAttribution: function () {
+      const touch = this.getCurrentTouch();
+
+      if (!this.readTouch("vt_ft")) {
+        this.writeTouch("vt_ft", touch);
+      }
+      if (touch.channel !== "direct" && touch.channel !== "internal") {
+        this.writeTouch("vt_lt", touch);
+      }
+    },
+
+    // First and last touch for the payload
+    getAttribution: function () {
+      const firstTouch = this.readTouch("vt_ft");
+      return {
+        firstTouch: firstTouch,
+        lastTouch: this.readTouch("vt_lt") || firstTouch,
+      };
+    },
+
+    // Stored touch, moved over from the cookie older versions wrote; null
+    // once it is older than visitorCookieDays
+    readTouch: function (name) {
+      let touch = null;
+      try {
+        touch = JSON.parse(localStorage.getItem(name));
+        const legacy = this.getCookie(name);
+        if (legacy) {
+          this.deleteCookie(name);
+          if (!touch) {
+            touch = JSON.parse(legacy);
+            localStorage.setItem(name, legacy);
+          }
+        }
+      } catch (e) {
+        return null;
+      }
+
+      const maxAge = this.config.visitorCookieDays * 24 * 60 * 60 * 1000;
+      if (!touch || Date.now() - Date.parse(touch.timestamp) > maxAge) {
+        return null;
+      }
+      return touch;
+    },
+
+    writeTouch: function (name, touch) {
+      // Long referrers are cut down
+      const stored = Object.assign({}, touch, {
+        referrer: touch.referrer ? touch.referrer.substring(0, 200) : null,
+      });
+      try {
+        localStorage.setItem(name, JSON.stringify(stored));
+      } catch (e) {
+        // Storage unavailable, attribution is not kept across pages
+      }
+    },
+
+    // Main method to collect visitor data and send to server. Registers
+    // listeners and reports the page visit; calling it again is a no-op.
+    start: function () {
+      if (running || destroyed) return null;
+
+      // Crawlers and automation never start tracking when suppressed
+      if (this.isSuppressedBot()) {
+        this.debugLog("Tracking suppressed for bot:", botAssessment);
+        return null;
+      }
+      running = true;
+
+      // Show the inspector before the first event is queued
+      if (this.config.debug) {
+        this.setupDebugOverlay();
+      }
+
+      // Restore undelivered events and register unload handlers
+      this.setupTransport();
+
+      // Ask for high-entropy client hints before the first event needs them
+      this.loadClientHints();
+
+      // Start listening for consent decisions
+      this.setupConsent();
+
+      // Setup cart tracking
+      if (CART_EVENTS.some((eventName) => this.isEventEnabled(eventName))) {
+        this.setupCartTracking();
+        this.setupCheckoutTracking();
+      }
+
+      // Returning to the tab is not a new page visit
+      this.listen(document, "visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+          this.sendEvent("tab_resumed", {});
+        }
+      });
+
+      // Active time and scroll depth for page_exit
+      this.setupEngagementTracking();
+
+      // LCP, CLS, INP, FCP and TTFB for web_vitals
+      if (this.isEventEnabled("web_vitals")) {
+        this.setupPerformanceTracking();
+      }
+
+      // Theme errors that may break add to cart
+      if (this.isEventEnabled("js_error")) {
+        this.setupErrorTracking();
+      }
+
+      // Follow client-side navigation in headless and AJAX themes
+      if (this.config.spaTracking) {
+        this.setupNavigationTracking();
+      }
+
+      // Hash emails from newsletter, login and contact forms
+      if (this.config.hashEmails) {
+        this.listen(
+          document,
+          "submit",
+          (event) => this.identifyFormEmail(event.target),
+          true
+        );
+      }
+
+      // The page visit is reported once per page load, not per start()
+      if (pageVisitSent) return null;
+      pageVisitSent = true;
+      currentPageKey = this.getPageKey(window.location.href);
+
+      // Return the data for any other client-side usage (null until consent)
+      return this.trackPageView();
+    },
+
+    // Report a page visit plus the funnel events the page implies.
+    // extraFields are added to the page visit payload.
+    trackPageView: function (extraFields) {
+      // Start a new page view, even while waiting for consent
+      currentPageViewId = this.generateId();
+      this.resetEngagement();
+      this.resetVitals();
+      reportedErrors = {};
+      extraFields = Object.assign(
+        { pageViewId: currentPageViewId },
+        extraFields
+      );
+
+      // Logging in may have happened since the last page view
+      if (this.config.autoIdentify) {
+        this.identifyDetectedCustomer();
+      }
+
+      // Collecting data writes cookies, so wait for consent
+      let visitorData = null;
+      this.whenConsented(() => {
+        // Collect all identifying information
+        visitorData = this.collectVisitorData();
+
+        // Remember where this visit came from
+        this.updateAttribution();
+
+        // Determine page type
+        const pageType = this.determinePageType();
+
+        // Get the configured or detected vendor ID
+        const vendorId = this.getVendorId();
+
+        // Send data to server for tracking
+        if (this.isEventEnabled("page_visit")) {
+          this.sendToServer(visitorData, pageType, vendorId, extraFields);
+        }
+
+        // Funnel events implied by the page itself
+        this.trackPageFunnelEvents(pageType);
+      });
+      return visitorData;
+    },
+
+    // Hook the History API and listen for back/forward and hash navigation
+    setupNavigationTracking: function () {
+      const self = this;
+      const onNavigate = function () {
+        self.handleUrlChange();
+      };
+
+      this.listen(window, "popstate", onNavigate);
+      this.listen(window, "hashchange", onNavigate);
+
+      // The History API is patched once and goes quiet while stopped
+      if (historyInstrumented || !window.history) return;
+      historyInstrumented = true;
+
+      originalPushState = window.history.pushState;
+      originalReplaceState = window.history.replaceState;
+
+      window.history.pushState = function () {
+        const result = originalPushState.apply(this, arguments);
+        if (running) self.handleUrlChange();
+        return result;
+      };
+
+      window.history.replaceState = function () {
+        const result = originalReplaceState.apply(this, arguments);
+        if (running) self.handleUrlChange();
+        return result;
+      };
+    },
+
+    // Undo setupNavigationTracking's History API hooks
+    restoreNavigationTracking: function () {
+      if (!historyInstrumented) return;
+      historyInstrumented = false;
+
+      window.history.pushState = originalPushState;
+      window.history.replaceState = originalReplaceState;
+    },
+
+    // Debounce URL changes, then report a virtual page visit if the page
+    // really changed (routers often push and replace in quick succession)
+    handleUrlChange: function () {
+      if (navigationTimer) clearTimeout(navigationTimer);
+
+      const self = this;
+      navigationTimer = setTimeout(function () {
+        navigationTimer = null;
+        if (!running) return;
+
+        const previousUrl = currentPageUrl;
+        const pageKey = self.getPageKey(window.location.href);
+        currentPageUrl = window.location.href;
+        if (pageKey === currentPageKey) return;
+
+        self.reportPageExit("navigation");
+        self.reportWebVitals("navigation");
+        currentPageKey = pageKey;
+        currentReferrer = previousUrl;
+        self.trackPageView({ virtual: true, referrer: currentReferrer });
+      }, NAVIGATION_DEBOUNCE_DELAY);
+    },
+
+    // URL identifying a page; selecting a variant (?variant=) or moving to
+    // an #anchor does not make a new page unless hash routing is enabled
+    getPageKey: function (href) {
+      const url = new URL(href);
+      url.searchParams.delete("variant");
+      if (!this.config.trackHashChanges) url.hash = "";
+      return url.href;
+    },
+
+    // Watch input, scrolling and visibility for the page_exit summary
+    setupEngagementTracking: function () {
+      const self = this;
+      const onInput = function () {
+        if (engagement) engagement.lastInputAt = Date.now();
+      };
+      ENGAGEMENT_INPUT_EVENTS.forEach((type) => {
+        this.listen(window, type, onInput, { passive: true });
+      });
+
+      this.listen(
+        window,
+        "scroll",
+        function () {
+          self.updateScrollDepth();
+        },
+        { passive: true }
+      );
+
+      this.listen(document, "visibilitychange", function () {
+        if (document.visibilityState === "hidden") {
+          self.reportPageExit("hidden");
+          self.reportWebVitals("hidden");
+        } else if (engagement) {
+          engagement.lastInputAt = Date.now();
+        }
+      });
+      this.listen(window, "pagehide", function () {
+        self.reportPageExit("pagehide");
+        self.reportWebVitals("pagehide");
+      });
+
+      // Count a tick as active only while visible, focused and not idle
+      engagementTimer = setInterval(function () {
+        if (!engagement) return;
+        const now = Date.now();
+        const elapsed = Math.min(
+          now - engagement.lastTickAt,
+          ENGAGEMENT_TICK * 2
+        );
+        engagement.lastTickAt = now;
+
+        if (
+          document.visibilityState === "visible" &&
+          (!document.hasFocus || document.hasFocus()) &&
+          now - engagement.lastInputAt < IDLE_TIMEOUT
+        ) {
+          engagement.activeMs += elapsed;
+        }
+      }, ENGAGEMENT_TICK);
+    },
+
+    // Fresh engagement totals for a new page view
+    resetEngagement: function () {
+      const now = Date.now();
+      engagement = {
+        pageViewId: currentPageViewId,
+        pageType: this.determinePageType(),
+        url: window.location.href,
+        startedAt: now,
+        lastInputAt: now,
+        lastTickAt: now,
+        activeMs: 0,
+        maxScrollPercent: 0,
+        reported: null,
+      };
+      this.updateScrollDepth();
+    },
+
+    // Track the deepest point of the page that has been on screen
+    updateScrollDepth: function () {
+      // Nothing to measure while the script runs in <head> before <body>
+      if (!engagement || !document.body) return;
+      const root = document.documentElement;
+      const height = Math.max(root.scrollHeight, document.body.scrollHeight);
+      const bottom = (window.scrollY || root.scrollTop) + window.innerHeight;
+      const percent = height > 0 ? Math.min(100, (bottom / height) * 100) : 100;
+      engagement.maxScrollPercent = Math.max(
+        engagement.maxScrollPercent,
+        Math.round(percent)
+      );
+    },
+
+    // Send the engagement summary for the current page view. Skipped when
+    // nothing changed since the last report (pagehide right after hidden).
+    reportPageExit: function (exitType) {
+      if (!engagement || !running) return;
+
+      const summary = {
+        activeTimeMs: engagement.activeMs,
+        timeOnPageMs: Date.now() - engagement.startedAt,
+        maxScrollDepth: Math.floor(engagement.maxScrollPercent / 25) * 25,
+        maxScrollPercent: engagement.maxScrollPercent,
+      };
+      const key = summary.activeTimeMs + ":" + summary.maxScrollPercent;
+      if (engagement.reported === key) return;
+      engagement.reported = key;
+
+      this.sendEvent(
+        "page_exit",
+        Object.assign(
+          {
+            page: engagement.pageType,
+            pageViewId: engagement.pageViewId,
+            fullPageUrl: engagement.url,
+            exitType: exitType,
+          },
+          summary
+        ),
+        { unload: exitType !== "navigation" }
+      );
+    },
+
+    // Observe paint, layout shift and interaction timings
+    setupPerformanceTracking: function () {
+      if (!window.PerformanceObserver) return;
+      const self = this;
+
+      this.observePerformance("paint", function (entry) {
+        if (
+          entry.name === "first-contentful-paint" &&
+          vitals &&
+          vitals.hardLoad
+        ) {
+          vitals.fcp = entry.startTime;
+        }
+      });
+
+      this.observePerformance("largest-contentful-paint", function (entry) {
+        if (vitals && vitals.hardLoad) vitals.lcp = entry.startTime;
+      });
+
+      this.observePerformance("layout-shift", function (entry) {
+        if (vitals && !entry.hadRecentInput) self.addLayoutShift(entry);
+      });
+
+      // INP uses the slowest event of each interaction
+      const onInteraction = function (entry) {
+        if (!vitals || !entry.interactionId) return;
+        const previous = vitals.interactions[entry.interactionId] || 0;
+        vitals.interactions[entry.interactionId] = Math.max(
+          previous,
+          entry.duration
+        );
+      };
+      this.observePerformance("event", onInteraction, {
+        durationThreshold: INP_DURATION_THRESHOLD,
+      });
+      this.observePerformance("first-input", onInteraction);
+    },
+
+    // Start a buffered observer, skipping entry types the browser lacks
+    observePerformance: function (type, callback, options) {
+      try {
+        const observer = new PerformanceObserver(function (list) {
+          list.getEntries().forEach(callback);
+        });
+        observer.observe(
+          Object.assign({ type: type, buffered: true }, options)
+        );
+        vitalsObservers.push(observer);
+      } catch (e) {
+        // Entry type not supported here
+      }
+    },
+
+    // CLS is the largest burst of layout shifts (session window)
+    addLayoutShift: function (entry) {
+      const session = vitals.clsSession;
+      if (
+        session &&
+        entry.startTime - session.lastAt < CLS_SESSION_GAP &&
+        entry.startTime - session.firstAt < CLS_SESSION_MAX
+      ) {
+        session.value += entry.value;
+        session.lastAt = entry.startTime;
+      } else {
+        vitals.clsSession = {
+          value: entry.value,
+          firstAt: entry.startTime,
+          lastAt: entry.startTime,
+        };
+      }
+      vitals.cls = Math.max(vitals.cls, vitals.clsSession.value);
+    },
+
+    // Fresh vitals for a new page view. Load metrics (LCP, FCP, TTFB) only
+    // exist for the first, real page load.
+    resetVitals: function () {
+      vitals = {
+        pageViewId: currentPageViewId,
+        pageType: this.determinePageType(),
+        url: window.location.href,
+        hardLoad: !vitals,
+        lcp: null,
+        fcp: null,
+        cls: 0,
+        clsSession: null,
+        interactions: {},
+        reported: false,
+      };
+    },
+
+    // INP: the slowest interaction, ignoring one outlier per 50 interactions
+    getInteractionToNextPaint: function () {
+      const durations = Object.keys(vitals.interactions)
+        .map((id) => vitals.interactions[id])
+        .sort((a, b) => b - a);
+      if (!durations.length) return null;
+      return durations[
+        Math.min(durations.length - 1, Math.floor(durations.length / 50))
+      ];
+    },
+
+    // Time to first byte of the real page load
+    getTimeToFirstByte: function () {
+      if (
+        !vitals.hardLoad ||
+        !window.performance ||
+        !performance.getEntriesByType
+      ) {
+        return null;
+      }
+      const navigation = performance.getEntriesByType("navigation")[0];
+      if (!navigation) return null;
+      return Math.max(
+        0,
+        navigation.responseStart - (navigation.activationStart || 0)
+      );
+    },
+
+    // Mobile, tablet or desktop from the detected device
+    getDeviceClass: function () {
+      const details = this.getDeviceDetails();
+      if (
+        /^iPad/.test(details.deviceModel) ||
+        (details.os.name === "Android" && !/Mobile/.test(navigator.userAgent))
+      ) {
+        return "tablet";
+      }
+      return details.os.mobile ? "mobile" : "desktop";
+    },
+
+    // Send the vitals of the current page view, once
+    reportWebVitals: function (exitType) {
+      if (!vitals || vitals.reported || !running) return;
+      vitals.reported = true;
+
+      const round = (value) => (value === null ? null : Math.round(value));
+      const connection = navigator.connection || {};
+
+      this.sendEvent(
+        "web_vitals",
+        {
+          page: vitals.pageType,
+          pageViewId: vitals.pageViewId,
+          fullPageUrl: vitals.url,
+          virtual: !vitals.hardLoad,
+          lcp: round(vitals.lcp),
+          fcp: round(vitals.fcp),
+          ttfb: round(this.getTimeToFirstByte()),
+          cls: Math.round(vitals.cls * 1000) / 1000,
+          inp: round(this.getInteractionToNextPaint()),
+          deviceClass: this.getDeviceClass(),
+          connectionType: connection.type || null,
+          effectiveConnectionType: connection.effectiveType || null,
+          trackerCost: {
+            collectVisitorDataMs:
+              Math.round(trackerCost.collectVisitorDataMs * 10) / 10,
+            collectVisitorDataCalls: trackerCost.collectVisitorDataCalls,
+          },
+        },
+        { unload: exitType !== "navigation" }
+      );
+    },
+
+    // Listen for uncaught errors and unhandled promise rejections
+    setupErrorTracking: function () {
+      const self = this;
+
+      // Resource load failures do not bubble, so only script errors arrive
+      this.listen(window, "error", function (event) {
+        const error = event.error;
+        self.reportError({
+          errorType: "error",
+          message: event.message || (error && error.message) || "Unknown error",
+          source: event.filename || null,
+          line: event.lineno || null,
+          column: event.colno || null,
+          stack: error && error.stack,
+        });
+      });
+
+      this.listen(window, "unhandledrejection", function (event) {
+        const reason = event.reason;
+        self.reportError({
+          errorType: "unhandledrejection",
+          message: reason && reason.message ? reason.message : String(reason),
+          source: null,
+          line: null,
+          column: null,
+          stack: reason && reason.stack,
+        });
+      });
+    },
+
+    // Send a js_error unless it is a repeat or the page view hit its limit
+    reportError: function (details) {
+      // Never report errors raised while reporting an error
+      if (reportingError) return;
+
+      const key = [details.message, details.source, details.line].join("|");
+      if (reportedErrors[key]) return;
+      if (Object.keys(reportedErrors).length >= MAX_ERRORS_PER_PAGE_VIEW) {
+        return;
+      }
+      reportedErrors[key] = true;
+
+      reportingError = true;
+      try {
+        const stack = details.stack ? String(details.stack) : null;
+        const browser = this.getBrowserInfo();
+        this.sendEvent("js_error", {
+          errorType: details.errorType,
+          message: String(details.message).substring(
+            0,
+            MAX_ERROR_MESSAGE_LENGTH
+          ),
+          source: details.source,
+          line: details.line,
+          column: details.column,
+          stack: stack ? stack.substring(0, MAX_ERROR_STACK_LENGTH) : null,
+          ownScript: this.isOwnError(details.source, stack),
+          browser: browser.name,
+          browserVersion: browser.version || null,
+        });
+      } finally {
+        reportingError = false;
+      }
+    },
+
+    // Whether an error was thrown by this script
+    isOwnError: function (source, stack) {
+      const ownSource = currentScript && currentScript.src;
+      if (!ownSource) return false;
+      return (
+        source === ownSource || (!!stack && stack.indexOf(ownSource) !== -1)
+      );
+    },
+
+    // Referrer of the current page, the previous URL after SPA navigation
+    getReferrer: function () {
+      return currentReferrer;
+    },
+
+    // Remove every listener and stop reporting, queued events still go out
+    stop: function () {
+      if (!running) return;
+      running = false;
+
+      registeredListeners.forEach((entry) => {
+        entry.target.removeEventListener(
+          entry.type,
+          entry.handler,
+          entry.options
+        );
+      });
+      registeredListeners = [];
+
+      if (engagementTimer) {
+        clearInterval(engagementTimer);
+        engagementTimer = null;
+      }
+
+      vitalsObservers.forEach((observer) => observer.disconnect());
+      vitalsObservers = [];
+
+      this.flushQueue();
+    },
+
+    // Stop for good and put back the patched fetch / XMLHttpRequest
+    destroy: function () {
+      this.stop();
+      destroyed = true;
+      pendingActions = [];
+
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+      }
+
+      if (navigationTimer) {
+        clearTimeout(navigationTimer);
+        navigationTimer = null;
+      }
+
+      this.restoreCartRequests();
+      this.restoreNavigationTracking();
+      apiHandlers = {};
+      middlewares = [];
+      destinations = Object.assign({}, BUILT_IN_DESTINATIONS);
+
+      if (debugOverlay) {
+        debugOverlay.parentNode.removeChild(debugOverlay);
+        debugOverlay = null;
+        debugRows = {};
+      }
+    },
+
+    isRunning: function () {
+      return running;
+    },
+
+    // Send a custom event from theme or app code
+    track: function (name, properties) {
+      if (typeof name !== "string" || !name) {
+        this.debugLog("visitorTracker.track() needs an event name");
+        return;
+      }
+      if (DEFAULT_CONFIG.events.indexOf(name) !== -1) {
+        this.debugLog(`visitorTracker.track(): "${name}" is a built-in event`);
+        return;
+      }
+
+      this.sendEvent(
+        name,
+        { custom: true, properties: Object.assign({}, properties) },
+        { custom: true }
+      );
+    },
+
+    // Attach a customer ID to this and all later events
+    identify: function (customerId, traits) {
+      if (
+        customerId === null ||
+        customerId === undefined ||
+        customerId === ""
+      ) {
+        this.debugLog("visitorTracker.identify() needs a customer ID");
+        return;
+      }
+      customerId = String(customerId);
+
+      this.whenConsented(() => {
+        this.writeIdentity("vt_cid", customerId, this.config.visitorCookieDays);
+      });
+      this.sendEvent("identify", {
+        customerId: customerId,
+        traits: Object.assign({}, traits),
+      });
+    },
+
+    // identify() the logged-in customer when the ID differs from the last one
+    identifyDetectedCustomer: function () {
+      const customerId = this.detectCustomerId();
+      if (customerId && customerId !== this.getCustomerId()) {
+        this.identify(customerId, { source: "shopify" });
+      }
+    },
+
+    // Customer ID Shopify exposes to logged-in shoppers, or null
+    detectCustomerId: function () {
+      const analytics = window.ShopifyAnalytics;
+      const page = analytics && analytics.meta && analytics.meta.page;
+      const customerId =
+        (page && page.customerId) || (window.__st && window.__st.cid);
+      return customerId ? String(customerId) : null;
+    },
+
+    // Send a hash of the email entered in a submitted form
+    identifyFormEmail: function (form) {
+      if (!form || !form.querySelector) return;
+
+      const field = form.querySelector(
+        'input[type="email"], input[name*="email" i]'
+      );
+      const email = field ? field.value.trim().toLowerCase() : "";
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return;
+
+      // Hash synchronously: the submit usually navigates away, and a
+      // SubtleCrypto promise would resolve too late to queue the event
+      const emailHash = this.sha256Fallback(email);
+      if (emailHash === this.getCookie("vt_eh")) return;
+
+      this.whenConsented(() => {
+        this.setCookie("vt_eh", emailHash, this.config.visitorCookieDays);
+      });
+      // The form submit usually navigates away, send right away
+      this.sendEvent(
+        "identify",
+        {
+          customerId: this.getCustomerId(),
+          emailHash: emailHash,
+          traits: { source: "form" },
+        },
+        { immediate: true }
+      );
+    },
+
+    // Customer ID passed to identify(), or null
+    getCustomerId: function () {
+      return this.readIdentity("vt_cid").value;
+    },
+
+    // Subscribe to "queued", "sent" or "failed"
+    on: function (event, handler) {
+      if (typeof handler !== "function") return;
+      (apiHandlers[event] = apiHandlers[event] || []).push(handler);
+    },
+
+    off: function (event, handler) {
+      if (!apiHandlers[event]) return;
+      apiHandlers[event] = apiHandlers[event].filter(
+        (registered) => registered !== handler
+      );
+    },
+
+    // Call subscribers, a throwing handler must not break delivery
+    emit: function (event, data) {
+      (apiHandlers[event] || []).slice().forEach((handler) => {
+        try {
+          handler(data);
+        } catch (error) {
+          this.debugLog(`Error in visitorTracker "${event}" handler:`, error);
+        }
+      });
+    },
+
+    // Add a function that can enrich, modify or drop (null / false) payloads
+    use: function (middleware) {
+      if (typeof middleware === "function") middlewares.push(middleware);
+    },
+
+    // Run the payload through every middleware. Resolves to null when one
+    // drops it; a middleware that throws is skipped.
+    applyMiddleware: function (payload) {
+      return middlewares.reduce(
+        (chain, middleware) =>
+          chain.then((current) => {
+            if (!current) return current;
+            return Promise.resolve()
+              .then(() => middleware(current))
+              .then(
+                (result) => {
+                  if (result === null || result === false) return null;
+                  return result === undefined ? current : result;
+                },
+                (error) => {
+                  this.debugLog("Error in visitorTracker middleware:", error);
+                  return current;
+                }
+              );
+          }),
+        Promise.resolve(payload)
+      );
+    },
+
+    // Register a destination adapter, enabled through config.destinations
+    addDestination: function (name, adapter) {
+      if (
+        !name ||
+        !adapter ||
+        typeof adapter.map !== "function" ||
+        typeof adapter.send !== "function"
+      ) {
+        this.debugLog("visitorTracker.addDestination() needs map and send");
+        return;
+      }
+      destinations[name] = adapter;
+    },
+
+    // Mirror a queued payload to every enabled destination. Each one runs
+    // on its own so a failure only affects that destination.
+    forwardToDestinations: function (payload) {
+      this.config.destinations.forEach((name) => {
+        const adapter = destinations[name];
+        if (!adapter) return;
+        if (adapter.marketing && !this.hasMarketingConsent()) return;
+
+        try {
+          const event = adapter.map(payload);
+          if (!event) return;
+
+          Promise.resolve(adapter.send(event, this.config)).catch((error) => {
+            this.debugLog(`Destination ${name} failed:`, error);
+          });
+        } catch (error) {
+          this.debugLog(`Destination ${name} failed:`, error);
+        }
+      });
+    },
+
+    // addEventListener that stop() can undo
+    listen: function (target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      registeredListeners.push({
+        target: target,
+        type: type,
+        handler: handler,
+        options: options,
+      });
+    },
+
+    // Read the initial consent state and subscribe to changes
+    setupConsent: function () {
+      if (this.config.consentMode !== "shopify") return;
+
+      const self = this;
+      const shopify = window.Shopify;
+
+      // Fired by Shopify whenever the visitor updates their choice
+      this.listen(document, "visitorConsentCollected", function (event) {
+        const detail = event.detail || {};
+        self.setConsent({
+          analytics: !!detail.analyticsAllowed,
+          marketing: !!detail.marketingAllowed,
+        });
+      });
+
+      // Only read the initial state on the first start()
+      if (consentRequested) return;
+      consentRequested = true;
+
+      if (shopify && shopify.customerPrivacy) {
+        this.applyShopifyConsent();
+      } else if (shopify && typeof shopify.loadFeatures === "function") {
+        shopify.loadFeatures(
+          [{ name: "consent-tracking-api", version: "0.1" }],
+          function (error) {
+            if (!error) self.applyShopifyConsent();
+          }
+        );
+      }
+    },
+
+    // Copy the current Shopify Customer Privacy decision
+    applyShopifyConsent: function () {
+      const privacy = window.Shopify && window.Shopify.customerPrivacy;
+      if (!privacy) return;
+
+      try {
+        this.setConsent({
+          analytics: privacy.analyticsProcessingAllowed
+            ? privacy.analyticsProcessingAllowed()
+            : privacy.userCanBeTracked(),
+          marketing: privacy.marketingAllowed
+            ? privacy.marketingAllowed()
+            : false,
+        });
+      } catch (e) {
+        // Consent API not ready, wait for visitorConsentCollected
+      }
+    },
+
+    // Check whether tracking is currently allowed
+    hasConsent: function () {
+      if (this.config.consentMode === "none") return true;
+      return !!(consentState && consentState.analytics);
+    },
+
+    // Whether ad platforms may receive events
+    hasMarketingConsent: function () {
+      if (this.config.consentMode === "none") return true;
+      return !!(consentState && consentState.marketing);
+    },
+
+    // Update consent, running deferred work or wiping data as needed
+    setConsent: function (consent) {
+      const wasAllowed = this.hasConsent();
+      consentState = {
+        analytics: !!(consent && consent.analytics),
+        marketing: !!(consent && consent.marketing),
+      };
+      const isAllowed = this.hasConsent();
+
+      this.debugLog("Consent updated", consentState);
+
+      if (isAllowed && !wasAllowed) {
+        const actions = pendingActions;
+        pendingActions = [];
+        actions.forEach((action) => action());
+        if (eventQueue.length) this.scheduleFlush(0);
+      } else if (wasAllowed && !isAllowed) {
+        // Only a withdrawal wipes data: an undecided or default-deny state
+        // keeps the actions buffered until the visitor decides
+        this.clearTrackingData();
+      }
+    },
+
+    // Run an action now, or defer it until consent per pendingEvents
+    whenConsented: function (action) {
+      if (this.hasConsent()) {
+        action();
+      } else if (
+        this.config.pendingEvents === "buffer" &&
+        pendingActions.length < MAX_PENDING_ACTIONS
+      ) {
+        pendingActions.push(action);
+      }
+    },
+
+    // Delete everything the tracker stored about this visitor
+    clearTrackingData: function () {
+      pendingActions = [];
+      eventQueue = [];
+
+      document.cookie.split(";").forEach((cookie) => {
+        const name = cookie.split("=")[0].trim();
+        if (name.indexOf("vt_") === 0) this.deleteCookie(name);
+      });
+
+      try {
+        localStorage.removeItem(QUEUE_STORAGE_KEY);
+        localStorage.removeItem(ORDERS_STORAGE_KEY);
+        TOUCH_STORAGE_KEYS.forEach((name) => localStorage.removeItem(name));
+        IDENTITY_KEYS.forEach((name) => localStorage.removeItem(name));
+      } catch (e) {
+        // Storage unavailable, nothing to clear
+      }
+
+      storedIdentities = {};
+      if (this.config.storageLayers.indexOf("indexedDB") !== -1) {
+        this.updateIdentityDb((store) => store.clear());
+      }
+    },
+
+    // Setup listeners for add to cart buttons
+    setupCartTracking: function () {
+      // Watch cart requests and form posts, the buttons become a fallback
+      const instrumented =
+        this.config.cartInstrumentation && this.instrumentCartRequests();
+
+      // Platform events are bound once and go quiet while stopped. Some
+      // platforms are only recognisable once the document has loaded.
+      const self = this;
+      const bindCartEvents = function () {
+        const platform = self.getPlatformAdapter();
+        if (instrumented && platform.setupCartEvents && !cartEventsBound) {
+          cartEventsBound = platform.setupCartEvents(self);
+        }
+      };
+      bindCartEvents();
+      if (document.readyState === "loading") {
+        this.listen(document, "DOMContentLoaded", bindCartEvents);
+      }
+
+      // Handle clicks on all potential add to cart buttons, of the platform
+      // detected by the time of the click
+      this.listen(document, "click", (event) => {
+        const cartButtonSelectors = self.getPlatformAdapter().cartButtons;
+
+        // Create a single selector string from the array
+        const combinedSelector = cartButtonSelectors.join(", ");
+
+        // Check if the clicked element or any of its parents match our selectors
+        let element = event.target;
+        let isCartButton = false;
+
+        // Walk up the DOM tree to find if any parent is an add to cart button
+        while (element && element !== document.body) {
+          if (element.matches && element.matches(combinedSelector)) {
+            isCartButton = true;
+            break;
+          }
+          element = element.parentNode;
+        }
+
+        if (!isCartButton) return;
+
+        const selector = cartButtonSelectors.find((candidate) =>
+          element.matches(candidate)
+        );
+
+        if (!instrumented) {
+          self.trackAddToCart({ detection: "selector", rule: selector });
+          return;
+        }
+
+        // Only report the click if no cart request shows up for it
+        const clickedAt = Date.now();
+        setTimeout(function () {
+          if (lastCartRequestAt < clickedAt) {
+            self.trackAddToCart({ detection: "selector", rule: selector });
+          }
+        }, SELECTOR_FALLBACK_DELAY);
+      });
+    },
+
+    // Hook fetch, XMLHttpRequest and form posts to the platform's cart
+    // endpoints
+    instrumentCartRequests: function () {
+      if (!window.fetch || !window.XMLHttpRequest) return false;
+
+      const self = this;
+
+      // Plain form posts navigate away, so remember them until the next page
+      this.listen(document, "submit", function (event) {
+        const form = event.target;
+        const action = form && form.getAttribute && form.getAttribute("action");
+        const cartForm = self.getPlatformAdapter().cartForm;
+        const isCartForm = cartForm && form.matches && form.matches(cartForm);
+        if (!isCartForm && self.getCartAction(action) !== "add") return;
+
+        self.markCartRequest();
+        const data = self.parseCartRequestBody(new FormData(form));
+
+        // The clicked button's name and value are posted with the form
+        const submitter = event.submitter;
+        if (submitter && submitter.name) data[submitter.name] = submitter.value;
+
+        self.storePendingFormAdd(self.getRequestedItems(data));
+
+        // A theme that cancels the submit sends the add via AJAX instead
+        setTimeout(function () {
+          if (event.defaultPrevented) self.storePendingFormAdd(null);
+        }, 0);
+      });
+
+      // The globals are patched once and go quiet while stopped
+      if (cartInstrumented) return true;
+      cartInstrumented = true;
+
+      // fetch: inspect the request, then the response once it succeeds.
+      // Instrumentation never throws into the caller and reads a Request
+      // body before fetch consumes it.
+      originalFetch = window.fetch;
+      window.fetch = function (input, init) {
+        let action = null;
+        let body;
+        if (running) {
+          try {
+            const url = typeof input === "string" ? input : input && input.url;
+            action = self.getCartAction(url);
+            if (action) {
+              self.markCartRequest();
+              body = init && init.body;
+              if (
+                body === undefined &&
+                input &&
+                typeof input.clone === "function"
+              ) {
+                body = input
+                  .clone()
+                  .text()
+                  .catch(() => null);
+              }
+            }
+          } catch (e) {
+            action = null;
+          }
+        }
+
+        const promise = originalFetch.apply(this, arguments);
+        if (!action) return promise;
+
+        Promise.all([promise, body])
+          .then(([response, requestBody]) => {
+            if (!response.ok) return;
+            return response
+              .clone()
+              .json()
+              .catch(() => null)
+              .then((data) => {
+                self.handleCartResponse(
+                  action,
+                  self.parseCartRequestBody(requestBody),
+                  data
+                );
+              });
+          })
+          .catch(() => {
+            // Failed requests never count as cart changes
+          });
+
+        return promise;
+      };
+
+      // XMLHttpRequest: used by jQuery-based themes and older apps
+      const xhrProto = window.XMLHttpRequest.prototype;
+      originalXhrOpen = xhrProto.open;
+      originalXhrSend = xhrProto.send;
+
+      xhrProto.open = function (method, url) {
+        try {
+          this._vtCartAction = running ? self.getCartAction(url) : null;
+        } catch (e) {
+          this._vtCartAction = null;
+        }
+        return originalXhrOpen.apply(this, arguments);
+      };
+
+      xhrProto.send = function (body) {
+        const action = this._vtCartAction;
+        let requestData = null;
+        try {
+          if (action) {
+            self.markCartRequest();
+            requestData = self.parseCartRequestBody(body);
+          }
+        } catch (e) {
+          requestData = {};
+        }
+        if (action) {
+          this.addEventListener("load", function () {
+            if (this.status < 200 || this.status >= 300) return;
+            let data = null;
+            try {
+              data =
+                this.responseType === "json"
+                  ? this.response
+                  : JSON.parse(this.responseText);
+            } catch (e) {
+              // Non-JSON response, fall back to the request data
+            }
+            self.handleCartResponse(action, requestData, data);
+          });
+        }
+        return originalXhrSend.apply(this, arguments);
+      };
+
+      this.reportPendingFormAdd();
+      return true;
+    },
+
+    // Undo instrumentCartRequests
+    restoreCartRequests: function () {
+      if (!cartInstrumented) return;
+      cartInstrumented = false;
+
+      window.fetch = originalFetch;
+      window.XMLHttpRequest.prototype.open = originalXhrOpen;
+      window.XMLHttpRequest.prototype.send = originalXhrSend;
+    },
+
+    // Note a cart request so the button fallback does not report it again
+    markCartRequest: function () {
+      lastCartRequestAt = Date.now();
     },
 
-    getCookie: function (name) {
-      const v = document.cookie.match("(^|;) ?" + name + "=([^;]*)(;|$)");
-      return v ? v[2] : null;
+    // Map a request URL to the cart endpoint it targets, if any
+    getCartAction: function (url) {
+      if (!url) return null;
+
+      let parsed;
+      try {
+        parsed = new URL(url, window.location.href);
+      } catch (e) {
+        return null;
+      }
+      if (parsed.origin !== window.location.origin) return null;
+
+      return this.getPlatformAdapter().getCartAction(parsed);
     },
 
-    // Generate or retrieve a unique session ID
-    getOrCreateSessionId: function () {
-      let sessionId = this.getCookie("vt_sid");
-      if (!sessionId) {
-        // Generate UUID-like session ID
-        sessionId =
-          Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
-        this.setCookie("vt_sid", sessionId, 365); // 1 year expiry
+    // Turn a JSON, URL-encoded or FormData request body into an object
+    parseCartRequestBody: function (body) {
+      if (!body) return {};
+
+      if (typeof body === "string") {
+        try {
+          return JSON.parse(body);
+        } catch (e) {
+          body = new URLSearchParams(body);
+        }
+      }
+
+      if (
+        typeof body.forEach === "function" &&
+        typeof body.get === "function"
+      ) {
+        const result = {};
+        body.forEach((value, key) => {
+          result[key] = value;
+        });
+        return result;
       }
-      return sessionId;
+
+      return typeof body === "object" ? body : {};
     },
 
-    // Main method to collect visitor data and send to server
-    init: function () {
-      // Collect all identifying information
-      const visitorData = this.collectVisitorData();
+    // Items requested by an add request body, as the platform lays it out
+    getRequestedItems: function (data) {
+      return this.getPlatformAdapter()
+        .getCartLines(data)
+        .filter((line) => line && line.id)
+        .map((line) => ({
+          variantId: String(line.id),
+          productId: line.productId ? String(line.productId) : null,
+          quantity: parseInt(line.quantity, 10) || 1,
+          currency: this.getCurrency(),
+        }));
+    },
+
+    // Convert a Shopify AJAX cart line item (prices in cents)
+    normalizeCartItem: function (line, currency) {
+      return {
+        variantId: String(line.variant_id || line.id),
+        productId: line.product_id ? String(line.product_id) : null,
+        quantity: line.quantity,
+        price: typeof line.price === "number" ? line.price / 100 : null,
+        currency: currency || this.getCurrency(),
+        title: line.product_title || line.title || null,
+        variantTitle: line.variant_title || null,
+        sku: line.sku || null,
+        vendor: line.vendor || null,
+        handle: line.handle || null,
+      };
+    },
 
-      // Determine page type
-      const pageType = this.determinePageType();
+    // Active storefront currency
+    getCurrency: function () {
+      const shopify = window.Shopify;
+      return (shopify && shopify.currency && shopify.currency.active) || null;
+    },
 
-      // Get the Shopify domain/vendor ID
-      const vendorId = this.getShopifyDomain();
+    // React to a successful cart request
+    handleCartResponse: function (action, requestData, data) {
+      if (action === "add") {
+        const platform = this.getPlatformAdapter();
+        const requested = this.getRequestedItems(requestData);
+        const items = platform.getAddedItems
+          ? platform.getAddedItems(data, requested, this)
+          : requested;
+        if (!items) return;
 
-      // Send data to server for tracking
-      this.sendToServer(visitorData, pageType, vendorId);
+        this.updateCartSnapshot(null, items);
+        this.trackAddToCart({
+          detection: "network",
+          rule: platform.cartAddRule,
+          items: items,
+        });
+        return;
+      }
 
-      // Setup cart tracking
-      this.setupCartTracking();
+      // change.js, update.js, clear.js and cart.js all return the full cart
+      if (data && Array.isArray(data.items)) {
+        const previous = cartSnapshot;
+        this.updateCartSnapshot(data);
+        if (action === "get") return;
 
-      // Return the data for any other client-side usage
-      return visitorData;
+        if (previous) {
+          this.trackCartDiff(previous, cartSnapshot);
+        } else if (
+          action === "change" &&
+          parseInt(requestData.quantity, 10) === 0 &&
+          requestData.id
+        ) {
+          // No earlier snapshot, but the request names the removed variant
+          this.sendEvent("remove_from_cart", {
+            items: [
+              {
+                variantId: String(requestData.id).split(":")[0],
+                quantity: null,
+              },
+            ],
+          });
+        }
+      }
     },
 
-    // Setup listeners for add to cart buttons
-    setupCartTracking: function () {
-      // Common selectors for Add to Cart buttons in Shopify themes
-      const cartButtonSelectors = [
-        // Your existing selectors:
-        'button[name="add"]',
-        "button.add-to-cart",
-        "button.product-form--add-to-cart",
-        "button.product-form__cart-submit",
-        "button.ProductForm__AddToCart",
-        'button[data-action="add-to-cart"]',
-        'input[name="add"]',
-        "input.add-to-cart",
-        'form[action*="/cart/add"] button',
-        'form[action*="/cart/add"] input[type="submit"]',
-
-        // *** NEW POSSIBLE SELECTORS TO ADD: ***
-
-        // Generic button/input types:
-        'input[type="submit"][name="add"]',
-        'input[type="button"][name="add"]',
-
-        // Common classes from various themes (Debut, Supply, Brooklyn, Narrative, etc.):
-        ".product__add-to-cart",
-        ".add-to-cart-btn",
-        ".btn--add-to-cart",
-        ".add-to-cart-button",
-        ".single_add_to_cart_button", // Some themes might borrow from WooCommerce patterns
-        ".js-add-to-cart", // Generic JS hook
-        ".shopify-payment-button__button", // Sometimes buy-now buttons also add to cart
-        "button.add-to-cart--button",
-        "input.add-to-cart--input",
-
-        // Data attributes often used for JS hooks or identifying elements:
-        "[data-cart-submit]",
-        "[data-add-to-cart]",
-        "[data-buy-button]",
-        "[data-product-submit-button]",
-        '[data-button-action="add-to-cart"]',
-
-        // Form specific selectors (in case the form itself has an id/class):
-        'form#AddToCartForm button[type="submit"]', // Common form ID
-        'form[action="/cart/add"] button', // More specific form action targeting
-        'form.product-form button[type="submit"]',
-        'form.shopify-product-form button[type="submit"]',
-
-        // Specific to quick-view modals or AJAX carts:
-        ".js-quick-view-add-to-cart", // If quick-view has its own button
-        ".modal__add-to-cart-button", // Button inside a modal
-        ".cart-drawer__add-to-cart", // For themes with cart drawers
-      ];
+    // Compare two cart snapshots and report added, removed and changed lines
+    trackCartDiff: function (previous, current) {
+      const added = [];
+      const removed = [];
+      const changed = [];
+
+      Object.keys(current).forEach((variantId) => {
+        const item = current[variantId];
+        const before = previous[variantId];
+        if (!before) {
+          added.push(item);
+        } else if (before.quantity !== item.quantity) {
+          changed.push(
+            Object.assign({}, item, { previousQuantity: before.quantity })
+          );
+        }
+      });
+
+      Object.keys(previous).forEach((variantId) => {
+        if (!current[variantId]) removed.push(previous[variantId]);
+      });
+
+      if (added.length) {
+        this.trackAddToCart({
+          detection: "network",
+          rule: "cart diff",
+          items: added,
+        });
+      }
+      if (removed.length) {
+        this.sendEvent("remove_from_cart", { items: removed });
+      }
+      if (changed.length) {
+        this.sendEvent("cart_quantity_change", { items: changed });
+      }
+    },
+
+    // Remember cart contents (by variant) to diff later cart updates
+    updateCartSnapshot: function (cart, addedItems) {
+      if (cart) {
+        cartSnapshot = {};
+        cart.items.forEach((line) => {
+          const item = this.normalizeCartItem(line, cart.currency);
+          cartSnapshot[item.variantId] = item;
+        });
+        return;
+      }
+
+      if (!cartSnapshot) return;
+      addedItems.forEach((item) => {
+        const existing = cartSnapshot[item.variantId];
+        if (existing) {
+          existing.quantity += item.quantity;
+        } else {
+          cartSnapshot[item.variantId] = Object.assign({}, item);
+        }
+      });
+    },
+
+    // Save (or clear with null) a form-posted add until the next page load
+    storePendingFormAdd: function (items) {
+      try {
+        if (items) {
+          sessionStorage.setItem(
+            PENDING_ADD_STORAGE_KEY,
+            JSON.stringify({ items: items, at: Date.now() })
+          );
+        } else {
+          sessionStorage.removeItem(PENDING_ADD_STORAGE_KEY);
+        }
+      } catch (e) {
+        // sessionStorage unavailable, the post goes unreported
+      }
+    },
+
+    // Report a form-posted add on the next page unless the platform shows it
+    // failed (Shopify stays on /cart/add, WooCommerce shows an error notice)
+    reportPendingFormAdd: function () {
+      // Error notices are part of the page, wait until it is parsed
+      if (document.readyState === "loading") {
+        this.listen(document, "DOMContentLoaded", () =>
+          this.reportPendingFormAdd()
+        );
+        return;
+      }
+
+      let pending = null;
+      try {
+        pending = JSON.parse(sessionStorage.getItem(PENDING_ADD_STORAGE_KEY));
+      } catch (e) {
+        return;
+      }
+      if (!pending) return;
+
+      this.storePendingFormAdd(null);
+      const platform = this.getPlatformAdapter();
+      const failed = platform.formAddFailed
+        ? platform.formAddFailed(this)
+        : this.getCartAction(window.location.href) === "add";
+      if (Date.now() - pending.at < PENDING_ADD_MAX_AGE && !failed) {
+        this.trackAddToCart({
+          detection: "form",
+          rule: "form " + platform.cartAddRule,
+          items: pending.items,
+        });
+      }
+    },
+
+    // Track add to cart events. details: { detection, rule, items }
+    trackAddToCart: function (details) {
+      details = details || {};
+      this.debugLog("Add to cart detected", details);
+
+      // Send right away, the click often navigates to the cart page
+      this.sendEvent(
+        "add_to_cart",
+        {
+          detection: details.detection || "selector",
+          detectionRule: details.rule || null,
+          items: this.enrichCartItems(details.items || []),
+          product: this.getProductContext(),
+        },
+        { immediate: true }
+      );
+    },
+
+    // Build and queue a named event once consent allows it
+    sendEvent: function (eventName, fields, options) {
+      const custom = options && options.custom;
+      if (!running || !this.isEventEnabled(custom ? "custom" : eventName)) {
+        return;
+      }
+
+      // Capture the page now, the event may wait for consent
+      const page = this.determinePageType();
+      fields = Object.assign({}, fields);
+      if (fields.items) {
+        fields.items = this.formatItems(fields.items);
+        if (fields.value === undefined) {
+          fields.value = this.getItemsValue(fields.items);
+        }
+        if (!fields.currency) {
+          const priced = fields.items.find((item) => item.currency);
+          fields.currency = priced ? priced.currency : this.getCurrency();
+        }
+      }
+
+      this.whenConsented(() => {
+        const visitorData = this.collectVisitorData();
+        this.buildPayload(
+          visitorData,
+          Object.assign({ page: page, event: eventName }, fields)
+        )
+          .then((payload) => this.applyMiddleware(payload))
+          .then((payload) => {
+            if (payload) this.enqueueEvent(payload, options);
+          })
+          .catch((error) => {
+            this.debugLog("Error building tracking event:", error);
+          });
+      });
+    },
+
+    // Give every item the same keys so the backend sees one schema
+    formatItems: function (items) {
+      return items.map((item) => {
+        const formatted = {};
+        ITEM_FIELDS.forEach((key) => {
+          formatted[key] =
+            item[key] === undefined || item[key] === "" ? null : item[key];
+        });
+        if (item.previousQuantity !== undefined) {
+          formatted.previousQuantity = item.previousQuantity;
+        }
+        return formatted;
+      });
+    },
+
+    // Sum of price x quantity, null when no item has a price
+    getItemsValue: function (items) {
+      let value = null;
+      items.forEach((item) => {
+        if (typeof item.price === "number") {
+          value = (value || 0) + item.price * (item.quantity || 1);
+        }
+      });
+      return value === null ? null : Math.round(value * 100) / 100;
+    },
+
+    // view_item, view_cart, begin_checkout and purchase from the page itself
+    trackPageFunnelEvents: function (pageType) {
+      const checkout = window.Shopify && window.Shopify.checkout;
 
-      // Create a single selector string from the array
-      const combinedSelector = cartButtonSelectors.join(", ");
+      // The order status / thank-you page exposes the finished order
+      if (checkout && checkout.order_id) {
+        this.trackPurchase(checkout);
+        return;
+      }
+
+      if (pageType === "product") {
+        const product = this.getProductContext();
+        if (product && (product.productId || product.variantId)) {
+          this.sendEvent("view_item", {
+            items: [Object.assign({ quantity: 1 }, product)],
+          });
+        }
+      } else if (
+        pageType === "cart" &&
+        this.getPlatformAdapter().ajaxCart &&
+        this.isEventEnabled("view_cart")
+      ) {
+        this.fetchCart().then((cart) => {
+          if (!cart || !Array.isArray(cart.items)) return;
+          this.updateCartSnapshot(cart);
+          this.sendEvent("view_cart", {
+            items: cart.items.map((line) =>
+              this.normalizeCartItem(line, cart.currency)
+            ),
+          });
+        });
+      } else if (pageType === "checkout") {
+        this.trackBeginCheckout(
+          checkout && checkout.line_items
+            ? this.normalizeCheckoutItems(checkout)
+            : null
+        );
+      }
+    },
+
+    // Load the current cart from the AJAX API
+    fetchCart: function () {
+      const routes = window.Shopify && window.Shopify.routes;
+      const root = (routes && routes.root) || "/";
+
+      return fetch(root.replace(/\/?$/, "/") + "cart.js", {
+        credentials: "same-origin",
+        headers: { Accept: "application/json" },
+      })
+        .then((response) => (response.ok ? response.json() : null))
+        .catch(() => null);
+    },
 
-      // Handle clicks on all potential add to cart buttons
+    // Report checkout buttons and forms that lead to checkout
+    setupCheckoutTracking: function () {
       const self = this;
-      document.addEventListener("click", (event) => {
-        // Check if the clicked element or any of its parents match our selectors
-        let element = event.target;
-        let isCartButton = false;
+      const selector = CHECKOUT_SELECTORS.join(", ");
 
-        // Walk up the DOM tree to find if any parent is an add to cart button
-        while (element && element !== document.body) {
-          if (element.matches && element.matches(combinedSelector)) {
-            isCartButton = true;
-            break;
-          }
-          element = element.parentNode;
+      this.listen(document, "click", function (event) {
+        const target = event.target;
+        if (target && target.closest && target.closest(selector)) {
+          self.trackBeginCheckout();
         }
+      });
 
-        // If we clicked an add to cart button, track the event
-        if (isCartButton) {
-          self.trackAddToCart();
+      this.listen(document, "submit", function (event) {
+        const form = event.target;
+        const submitter = event.submitter;
+        if (
+          (submitter && submitter.name === "checkout") ||
+          /\/checkout/.test((form && form.getAttribute("action")) || "")
+        ) {
+          self.trackBeginCheckout();
         }
       });
     },
 
-    // Track add to cart events
-    trackAddToCart: function () {
-      // Get visitor data for fingerprint
-      const visitorData = this.collectVisitorData();
+    // Report begin_checkout once for a click, submit and checkout page load
+    trackBeginCheckout: function (items) {
+      if (!this.hasConsent()) {
+        this.whenConsented(() => this.trackBeginCheckout(items));
+        return;
+      }
 
-      // Generate all three fingerprints
-      const fingerPrint = this.formatVisitorString(visitorData); // Legacy format
-      const stableFingerprint = this.formatStableFingerprint(visitorData);
-      const variableFingerprint = this.formatVariableFingerprint(visitorData);
-      const sessionId = this.getOrCreateSessionId();
+      try {
+        const last = parseInt(sessionStorage.getItem(CHECKOUT_STORAGE_KEY), 10);
+        if (last && Date.now() - last < CHECKOUT_DEDUPE_WINDOW) return;
+        sessionStorage.setItem(CHECKOUT_STORAGE_KEY, String(Date.now()));
+      } catch (e) {
+        // Without sessionStorage a duplicate is possible but harmless
+      }
 
-      // Get vendor ID
-      const vendorId = this.getShopifyDomain();
+      if (!items && cartSnapshot) {
+        items = Object.keys(cartSnapshot).map((id) => cartSnapshot[id]);
+      }
 
-      // Create the payload with new fields
-      const payload = {
-        fingerPrint: fingerPrint, // Keep for backward compatibility
-        sessionId: sessionId,
-        stableFingerprint: stableFingerprint,
-        variableFingerprint: variableFingerprint,
-        page: "product", // Likely a product page if adding to cart
-        vendorId: vendorId,
-        event: "add_to_cart", // Add this to distinguish from regular page visits
-        websiteUrl: window.location.origin,
-        fullPageUrl: window.location.href,
-      };
+      this.sendEvent(
+        "begin_checkout",
+        { items: items || [] },
+        { immediate: true }
+      );
+    },
 
-      // Send to server
-      fetch(TRACKING_API_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+    // Report the order on the thank-you page, once per order
+    trackPurchase: function (checkout) {
+      if (!this.hasConsent()) {
+        this.whenConsented(() => this.trackPurchase(checkout));
+        return;
+      }
+
+      const orderId = String(checkout.order_id);
+      let orders = [];
+      try {
+        orders = JSON.parse(localStorage.getItem(ORDERS_STORAGE_KEY)) || [];
+      } catch (e) {
+        // Start a fresh list
+      }
+      if (orders.indexOf(orderId) !== -1) return;
+
+      const toNumber = (value) =>
+        value === undefined || value === null ? null : parseFloat(value);
+      const discount = checkout.discount;
+
+      this.sendEvent(
+        "purchase",
+        {
+          orderId: orderId,
+          items: this.normalizeCheckoutItems(checkout),
+          value: toNumber(checkout.total_price),
+          currency:
+            checkout.presentment_currency ||
+            checkout.currency ||
+            this.getCurrency(),
+          subtotal: toNumber(checkout.subtotal_price),
+          tax: toNumber(checkout.total_tax),
+          shipping: checkout.shipping_rate
+            ? toNumber(checkout.shipping_rate.price)
+            : null,
+          discount: discount ? toNumber(discount.amount) : null,
         },
-        body: JSON.stringify(payload),
-        credentials: "include",
-      })
-        .then((response) => {
-          if (!response.ok) {
-            throw new Error("Network response was not ok");
-          }
-          return response.json();
-        })
-        .then((data) => {
-          console.log("Add to cart event tracked successfully");
-        })
-        .catch((error) => {
-          console.error("Error tracking add to cart event:", error);
-        });
+        { immediate: true }
+      );
+
+      try {
+        orders.push(orderId);
+        localStorage.setItem(
+          ORDERS_STORAGE_KEY,
+          JSON.stringify(orders.slice(-20))
+        );
+      } catch (e) {
+        // Storage unavailable, a reload may report the order again
+      }
+    },
 
-      // Log to console
-      console.log(
-        "%c Add to Cart Tracked ",
-        "background: #e83e8c; color: white; padding: 2px 6px; border-radius: 2px; font-weight: bold;"
+    // Shopify.checkout line items carry prices as decimal strings
+    normalizeCheckoutItems: function (checkout) {
+      const currency = checkout.presentment_currency || checkout.currency;
+      return (checkout.line_items || []).map((line) => ({
+        variantId: line.variant_id ? String(line.variant_id) : null,
+        productId: line.product_id ? String(line.product_id) : null,
+        quantity: line.quantity,
+        price: line.price !== undefined ? parseFloat(line.price) : null,
+        currency: currency || null,
+        title: line.title || null,
+        variantTitle: line.variant_title || null,
+        sku: line.sku || null,
+        vendor: line.vendor || null,
+      }));
+    },
+
+    // Use the configured vendor ID, falling back to the platform's store ID
+    // and then the store domain
+    getVendorId: function () {
+      const platform = this.getPlatformAdapter();
+      return (
+        this.config.vendorId ||
+        (platform.getVendorId && platform.getVendorId()) ||
+        this.getStoreDomain()
       );
     },
 
-    // Get the Shopify store domain
-    getShopifyDomain: function () {
+    // Storefront platform: the configured one, else the first adapter whose
+    // detect() matches, else "unknown" (detection is retried on every call)
+    getPlatform: function () {
+      if (platformName) return platformName;
+
+      const configured = this.config.platform;
+      platformName = PLATFORM_ADAPTERS[configured]
+        ? configured
+        : Object.keys(PLATFORM_ADAPTERS).find((name) =>
+            PLATFORM_ADAPTERS[name].detect()
+          ) || null;
+      return platformName || "unknown";
+    },
+
+    // Adapter of the current platform (Shopify's for unknown storefronts)
+    getPlatformAdapter: function () {
+      return PLATFORM_ADAPTERS[this.getPlatform()] || PLATFORM_ADAPTERS.shopify;
+    },
+
+    // Get the store domain
+    getStoreDomain: function () {
       // Try to get it from meta tags first (most reliable)
       const shopifyDomainMeta = document.querySelector(
         'meta[property="og:site_name"]'
@@ -221,57 +3830,442 @@
       return window.location.hostname;
     },
 
-    // Determine if current page is a product page
-    // Determine the current page type based on the URL or page structure
-    determinePageType: function () {
-      const url = window.location.href.toLowerCase();
-      const path = window.location.pathname.toLowerCase();
+    // Determine if current page is a product page
+    // Determine the current page type: the platform's own page data first
+    // (hard page loads only), then the configured and the platform's rules
+    determinePageType: function () {
+      const platform = this.getPlatformAdapter();
+      if (platform.getPageType && window.location.pathname === loadedPath) {
+        const platformType = platform.getPageType(this);
+        if (platformType) return platformType;
+      }
+
+      const path = this.getPathWithoutLocale();
+      const rules = this.config.pageTypeRules.concat(platform.pageTypeRules);
+      const match = rules.find((rule) => this.matchesPageRule(rule, path));
+      return match ? match.type : "other";
+    },
+
+    // Page type from ShopifyAnalytics or the theme's template name
+    getShopifyPageType: function () {
+      const analytics = window.ShopifyAnalytics;
+      const page = analytics && analytics.meta && analytics.meta.page;
+      const body = document.body;
+      const templateClass = body && /\btemplate-([\w-]+)/.exec(body.className);
+      const candidates = [
+        page && page.pageType,
+        body && body.getAttribute("data-template"),
+        templateClass && templateClass[1],
+      ];
+
+      for (let i = 0; i < candidates.length; i++) {
+        if (!candidates[i]) continue;
+        // Alternate templates look like "product.preorder"
+        const name = String(candidates[i]).toLowerCase().split(".")[0];
+        if (SHOPIFY_PAGE_TYPES[name]) return SHOPIFY_PAGE_TYPES[name];
+      }
+      return null;
+    },
+
+    // Page type a Stencil theme passes to stencilBootstrap("product", ...)
+    getBigCommercePageType: function () {
+      const scripts = document.querySelectorAll("script:not([src])");
+      for (let i = 0; i < scripts.length; i++) {
+        const match = /stencilBootstrap\(\s*["']([\w-]+)["']/.exec(
+          scripts[i].textContent
+        );
+        if (!match) continue;
+        if (BIGCOMMERCE_PAGE_TYPES[match[1]]) {
+          return BIGCOMMERCE_PAGE_TYPES[match[1]];
+        }
+        return /^account/.test(match[1]) ? "account" : null;
+      }
+      return null;
+    },
+
+    // A rule matches when its path pattern and selector (if any) both do
+    matchesPageRule: function (rule, path) {
+      if (!rule || !rule.type || (!rule.path && !rule.selector)) return false;
+      try {
+        if (rule.path && !new RegExp(rule.path, "i").test(path)) return false;
+        if (rule.selector && !document.querySelector(rule.selector)) {
+          return false;
+        }
+      } catch (e) {
+        this.debugLog("Invalid page type rule", rule, e);
+        return false;
+      }
+      return true;
+    },
+
+    // Lower-cased path with any /fr or /en-ca locale prefix removed
+    getPathWithoutLocale: function () {
+      const path = window.location.pathname.toLowerCase();
+      const prefix = this.getLocalePrefix(path);
+      return prefix ? path.substring(prefix.length) || "/" : path;
+    },
+
+    // Locale prefix of the path ("/fr", "/en-ca"), or ""
+    getLocalePrefix: function (path) {
+      const routes = window.Shopify && window.Shopify.routes;
+      const root = routes && routes.root ? routes.root.replace(/\/$/, "") : "";
+      if (root && path.indexOf(root.toLowerCase()) === 0) {
+        return root.toLowerCase();
+      }
+
+      // Without Shopify.routes, accept a locale only before a known route
+      const match = /^\/([a-z]{2}(?:-[a-z]{2})?)(\/([^/]*)|$)/.exec(path);
+      if (match && (!match[3] || STOREFRONT_ROOTS.test(match[3]))) {
+        return "/" + match[1];
+      }
+      return "";
+    },
+
+    // Storefront language, from Shopify, the URL prefix or <html lang>
+    getLocale: function () {
+      const shopify = window.Shopify;
+      if (shopify && shopify.locale) return shopify.locale;
+
+      const prefix = this.getLocalePrefix(
+        window.location.pathname.toLowerCase()
+      );
+      if (prefix) return prefix.substring(1);
+      return document.documentElement.lang || null;
+    },
+
+    // Storefront country (Shopify Markets), or null
+    getMarket: function () {
+      const shopify = window.Shopify;
+      return shopify && shopify.country ? shopify.country : null;
+    },
+
+    // Product and collection the current page is about (null if neither).
+    // Sources in order: the platform's (on Shopify ShopifyAnalytics.meta /
+    // window.meta, then inline /products/<handle>.js-style product JSON;
+    // hard page loads only), then JSON-LD Product data.
+    getProductContext: function () {
+      const product = this.readProductSources();
+      const collectionHandle = this.getCollectionHandle();
+      if (!product && !collectionHandle) return null;
+
+      const context = {
+        productId: null,
+        handle: null,
+        title: null,
+        variantId: null,
+        price: null,
+        currency: this.getCurrency(),
+        vendor: null,
+        collectionHandle: collectionHandle,
+      };
+      if (!product) return context;
+
+      ["productId", "handle", "title", "vendor"].forEach((key) => {
+        context[key] = product[key];
+      });
+      context.currency = context.currency || product.currency;
+
+      const variant = this.getSelectedVariant(product);
+      if (variant) {
+        context.variantId = variant.id;
+        context.price = variant.price;
+      } else {
+        context.price = product.price;
+      }
+      return context;
+    },
+
+    // Merge every product source, earlier sources win per field. Like its
+    // page type, the platform's product data describes the hard-loaded
+    // page, so it is left out after SPA navigation.
+    readProductSources: function () {
+      const platformSources =
+        window.location.pathname === loadedPath
+          ? this.getPlatformAdapter().readProduct(this)
+          : [];
+      const sources = platformSources
+        .concat(this.readJsonLdProduct())
+        .filter(Boolean);
+      if (!sources.length) return null;
+
+      const product = {};
+      sources.forEach((source) => {
+        Object.keys(source).forEach((key) => {
+          const empty =
+            product[key] === undefined ||
+            product[key] === null ||
+            (Array.isArray(product[key]) && !product[key].length);
+          if (empty) product[key] = source[key];
+        });
+      });
+
+      if (!product.handle) {
+        const match = window.location.pathname.match(/\/products\/([^/?#]+)/);
+        product.handle = match ? decodeURIComponent(match[1]) : null;
+      }
+      return product;
+    },
+
+    // ShopifyAnalytics.meta.product (prices in cents)
+    readMetaProduct: function () {
+      const meta =
+        (window.ShopifyAnalytics && window.ShopifyAnalytics.meta) ||
+        window.meta;
+      if (!meta || !meta.product) return null;
+
+      const variants = (meta.product.variants || []).map((variant) => ({
+        id: String(variant.id),
+        price: typeof variant.price === "number" ? variant.price / 100 : null,
+        title: variant.public_title || variant.name || null,
+      }));
+
+      return {
+        productId: meta.product.id ? String(meta.product.id) : null,
+        vendor: meta.product.vendor || null,
+        currency: meta.currency || null,
+        selectedVariantId: meta.selectedVariantId
+          ? String(meta.selectedVariantId)
+          : null,
+        variants: variants,
+      };
+    },
+
+    // Product JSON embedded by themes, same shape as /products/<handle>.js
+    readProductJson: function () {
+      const script = document.querySelector(
+        'script[type="application/json"][data-product-json], script[type="application/json"][id^="ProductJson"]'
+      );
+      if (!script) return null;
+
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (e) {
+        return null;
+      }
+      data = data && data.product ? data.product : data;
+      if (!data || !data.id) return null;
+
+      const toPrice = (cents) =>
+        typeof cents === "number" ? cents / 100 : null;
+      return {
+        productId: String(data.id),
+        handle: data.handle || null,
+        title: data.title || null,
+        vendor: data.vendor || null,
+        price: toPrice(data.price),
+        variants: (data.variants || []).map((variant) => ({
+          id: String(variant.id),
+          price: toPrice(variant.price),
+          title: variant.title || null,
+        })),
+      };
+    },
+
+    // WooCommerce product form, with the variations of variable products
+    readWooCommerceProduct: function () {
+      const form = document.querySelector("form.cart");
+      if (!form) return null;
+
+      const field = form.querySelector('[name="add-to-cart"]');
+      const productId =
+        (field && field.value) || form.getAttribute("data-product_id");
+      if (!productId) return null;
+
+      // "false" when the variations are too many and loaded via AJAX
+      let variations = null;
+      try {
+        variations = JSON.parse(form.getAttribute("data-product_variations"));
+      } catch (e) {
+        // No variation data
+      }
+
+      const selected = form.querySelector('[name="variation_id"]');
+      return {
+        productId: String(productId),
+        selectedVariantId:
+          selected && selected.value && selected.value !== "0"
+            ? selected.value
+            : null,
+        variants: (Array.isArray(variations) ? variations : []).map(
+          (variation) => ({
+            id: String(variation.variation_id),
+            price:
+              typeof variation.display_price === "number"
+                ? variation.display_price
+                : null,
+            title:
+              Object.keys(variation.attributes || {})
+                .map((key) => variation.attributes[key])
+                .filter(Boolean)
+                .join(" / ") || null,
+          })
+        ),
+      };
+    },
+
+    // BigCommerce product form and BCData.product_attributes
+    readBigCommerceProduct: function () {
+      const field = document.querySelector(
+        'form[data-cart-item-add] [name="product_id"]'
+      );
+      const attributes = window.BCData && window.BCData.product_attributes;
+      if (!(field && field.value) && !attributes) return null;
+
+      const prices = (attributes && attributes.price) || {};
+      const price = prices.with_tax || prices.without_tax;
+      return {
+        productId: field && field.value ? String(field.value) : null,
+        price: price && typeof price.value === "number" ? price.value : null,
+        currency: (price && price.currency) || null,
+      };
+    },
+
+    // Magento product form and its final price box
+    readMagentoProduct: function () {
+      const field = document.querySelector(
+        '#product_addtocart_form [name="product"]'
+      );
+      if (!field || !field.value) return null;
+
+      const priceBox = document.querySelector(
+        '.product-info-main [data-price-type="finalPrice"]'
+      );
+      const price = priceBox
+        ? parseFloat(priceBox.getAttribute("data-price-amount"))
+        : NaN;
+      const title = document.querySelector(".page-title .base");
+      return {
+        productId: String(field.value),
+        title: title ? title.textContent.trim() : null,
+        price: isNaN(price) ? null : price,
+      };
+    },
+
+    // schema.org Product / Offer blocks (prices as decimal strings)
+    readJsonLdProduct: function () {
+      const scripts = document.querySelectorAll(
+        'script[type="application/ld+json"]'
+      );
+
+      for (let i = 0; i < scripts.length; i++) {
+        let data;
+        try {
+          data = JSON.parse(scripts[i].textContent);
+        } catch (e) {
+          continue;
+        }
+
+        const nodes = [].concat(data["@graph"] || data);
+        const product = nodes.find(
+          (node) =>
+            node && [].concat(node["@type"]).some((type) => type === "Product")
+        );
+        if (!product) continue;
 
-      if (
-        path.includes("/products/") ||
-        path.includes("/product/") ||
-        path.includes("/p/") ||
-        document.querySelector(".product-detail") !== null ||
-        document.querySelector("[data-product-id]") !== null
-      ) {
-        return "product";
-      }
+        const offers = [].concat(
+          (product.offers && product.offers.offers) || product.offers || []
+        );
+        const variants = offers.map((offer) => ({
+          id: this.getVariantIdFromUrl(offer.url),
+          price: offer.price !== undefined ? parseFloat(offer.price) : null,
+          title: offer.name || null,
+        }));
+        const brand = product.brand;
 
-      if (
-        path === "/checkout" ||
-        path.startsWith("/checkouts") ||
-        path.includes("/checkout")
-      ) {
-        return "checkout";
+        return {
+          productId: product.productID ? String(product.productID) : null,
+          title: product.name || null,
+          vendor: (brand && (brand.name || brand)) || null,
+          currency: offers.length ? offers[0].priceCurrency || null : null,
+          price:
+            product.offers && product.offers.lowPrice !== undefined
+              ? parseFloat(product.offers.lowPrice)
+              : variants.length
+              ? variants[0].price
+              : null,
+          variants: variants.filter((variant) => variant.id),
+        };
       }
+      return null;
+    },
 
-      if (path === "/cart" || path.includes("/cart")) {
-        return "cart";
+    // Read the ?variant= parameter from a product URL
+    getVariantIdFromUrl: function (url) {
+      try {
+        return new URL(url, window.location.href).searchParams.get("variant");
+      } catch (e) {
+        return null;
       }
+    },
 
-      if (path === "/" || path === "/index") {
-        return "home";
-      }
+    // Variant chosen via ?variant=, the meta data or the product form
+    getSelectedVariant: function (product) {
+      const variants = product.variants || [];
+      const idInput = document.querySelector(
+        'form[action*="/cart/add"] [name="id"]'
+      );
+      const selectedId =
+        this.getVariantIdFromUrl(window.location.href) ||
+        product.selectedVariantId ||
+        (idInput && idInput.value);
 
-      if (path.includes("/collections") || path.includes("/search")) {
-        return "collection_or_search";
+      const selected = variants.find((variant) => variant.id === selectedId);
+      if (selected) return selected;
+      if (selectedId) return { id: String(selectedId), price: null };
+      return variants[0] || null;
+    },
+
+    // Collection from the URL, or the collection page the visitor came from
+    getCollectionHandle: function () {
+      const pattern = this.getPlatformAdapter().collectionPattern;
+      if (!pattern) return null;
+      let match = window.location.pathname.match(pattern);
+
+      if (!match && this.getReferrer()) {
+        try {
+          const referrer = new URL(this.getReferrer());
+          if (referrer.origin === window.location.origin) {
+            match = referrer.pathname.match(pattern);
+          }
+        } catch (e) {
+          // Invalid referrer
+        }
       }
 
-      return "other";
+      return match && match[1] !== "all" ? decodeURIComponent(match[1]) : null;
     },
 
-    // Collect all relevant browser and device information
-    collectVisitorData: function () {
-      return {
-        // Operating system identification
-        os: this.getOperatingSystem(),
+    // Fill in cart items from the product on the page when variants match
+    enrichCartItems: function (items) {
+      const product = this.readProductSources();
+      if (!product) return items;
 
-        // Browser identification
-        browser: this.getBrowserInfo(),
+      return items.map((item) => {
+        const variant = (product.variants || []).find(
+          (candidate) => candidate.id === item.variantId
+        );
+        if (!variant) return item;
 
-        // Device model information (NEW!)
-        deviceModel: this.getDeviceModel(),
+        return Object.assign({}, item, {
+          productId: item.productId || product.productId,
+          title: item.title || product.title,
+          variantTitle: item.variantTitle || variant.title,
+          price:
+            item.price !== undefined && item.price !== null
+              ? item.price
+              : variant.price,
+          currency: item.currency || product.currency || null,
+          vendor: item.vendor || product.vendor,
+          handle: item.handle || product.handle,
+        });
+      });
+    },
 
+    // Collect all relevant browser and device information
+    collectVisitorData: function () {
+      const startedAt = performance.now();
+      const data = {
         // Screen and display information
         screen: this.getScreenInfo(),
 
@@ -284,197 +4278,157 @@
         // Current page information
         page: {
           url: window.location.href,
-          referrer: document.referrer || "direct",
+          referrer: this.getReferrer() || "direct",
           title: document.title,
         },
 
         // Timestamp for client-side reference
         timestamp: new Date().toISOString(),
       };
-    },
 
-    // Detect operating system
-    getOperatingSystem: function () {
-      const userAgent = navigator.userAgent;
-      let os = "Unknown";
-      let version = "";
-
-      // Detect common mobile operating systems
-      if (/android/i.test(userAgent)) {
-        os = "Android";
-        const match = userAgent.match(/Android (\d+(\.\d+)?)/i);
-        version = match ? match[1] : "";
-      } else if (/iPad|iPhone|iPod/.test(userAgent) && !window.MSStream) {
-        os = "iOS";
-        const match = userAgent.match(/OS (\d+[_\d]*) like Mac OS X/i);
-        version = match ? match[1].replace(/_/g, ".") : "";
-      } else if (/Windows NT/.test(userAgent)) {
-        os = "Windows";
-        const match = userAgent.match(/Windows NT (\d+(\.\d+)?)/i);
-        version = match ? match[1] : "";
-      } else if (/Mac OS X/.test(userAgent)) {
-        os = "MacOS";
-        const match = userAgent.match(/Mac OS X (\d+[._\d]*)/i);
-        version = match ? match[1].replace(/_/g, ".") : "";
-      } else if (/Linux/.test(userAgent)) {
-        os = "Linux";
-      }
+      // OS, browser and device model, using the screen and GPU read above
+      Object.assign(data, this.getDeviceDetails(data));
 
-      return {
-        name: os,
-        version: version,
-        mobile:
-          /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-            userAgent
-          ),
-      };
+      // Our own cost, reported with web_vitals
+      trackerCost.collectVisitorDataMs += performance.now() - startedAt;
+      trackerCost.collectVisitorDataCalls++;
+      return data;
     },
 
-    // NEW! Extract device model from user agent
-    getDeviceModel: function () {
-      const userAgent = navigator.userAgent;
-
-      // For Android devices
-      if (/android/i.test(userAgent)) {
-        // Look for patterns like: Android 10; SM-G973F or Android 10; Pixel 4
-
-        // Samsung devices
-        let match = userAgent.match(/;\s+(SM-[A-Z0-9]+)/i);
-        if (match && match[1]) return match[1].trim();
+    // OS, browser and device model, from client hints where available.
+    // visitorData, when given, supplies the WebGL renderer for Apple models.
+    getDeviceDetails: function (visitorData) {
+      const details = resolveDevice(
+        parseUserAgent(navigator.userAgent, this.getClientHints()),
+        {
+          width: window.screen.width,
+          height: window.screen.height,
+          pixelRatio: window.devicePixelRatio || 1,
+          maxTouchPoints: navigator.maxTouchPoints || 0,
+          webGLRenderer: visitorData && visitorData.identifiers.webGLRenderer,
+        }
+      );
 
-        // Google Pixel
-        match = userAgent.match(/;\s+(Pixel\s+[^;)]+)/i);
-        if (match && match[1]) return match[1].trim();
+      // Desktop UAs name no model, the platform string is the best we have
+      if (details.deviceModel === "Desktop Device" && navigator.platform) {
+        details.deviceModel = navigator.platform;
+      }
 
-        // Xiaomi/Redmi
-        match = userAgent.match(/;\s+(Mi\s+[^;)]+|Redmi\s+[^;)]+)/i);
-        if (match && match[1]) return match[1].trim();
+      Object.assign(details.browser, {
+        userAgent: navigator.userAgent,
+        language: navigator.language || "Unknown",
+        cookieEnabled: navigator.cookieEnabled,
+      });
+      return details;
+    },
 
-        // OnePlus
-        match = userAgent.match(/;\s+(OnePlus[^;)]+)/i);
-        if (match && match[1]) return match[1].trim();
+    // Request high-entropy client hints once; resolves to null when the
+    // browser has none or does not answer in time
+    loadClientHints: function () {
+      if (clientHintsRequest) return clientHintsRequest;
 
-        // General Android model pattern
-        match = userAgent.match(
-          /Android[\s\/][\d\.]+;\s+([^;]+)(?:Build|[^\)]+\))/i
-        );
-        if (match && match[1]) {
-          // Clean up the model string
-          return match[1]
-            .trim()
-            .replace(/\sBuild.*/i, "") // Remove "Build/XXX"
-            .replace(/\sLMY.*/i, "") // Remove additional version info
-            .replace(/[;(].*/, ""); // Remove anything after ; or (
-        }
+      const uaData = navigator.userAgentData;
+      if (!uaData || typeof uaData.getHighEntropyValues !== "function") {
+        clientHintsRequest = Promise.resolve(null);
+        return clientHintsRequest;
       }
 
-      // For iOS devices
-      if (/iPad|iPhone|iPod/.test(userAgent)) {
-        let device = "Unknown iOS Device";
+      const timeout = new Promise((resolve) => {
+        setTimeout(() => resolve(null), CLIENT_HINTS_TIMEOUT);
+      });
+      clientHintsRequest = Promise.race([
+        uaData.getHighEntropyValues(CLIENT_HINT_KEYS),
+        timeout,
+      ])
+        .then((values) => {
+          if (values) clientHints = values;
+          return clientHints;
+        })
+        .catch((error) => {
+          this.debugLog("Client hints unavailable:", error);
+          return null;
+        });
+      return clientHintsRequest;
+    },
 
-        if (/iPad/.test(userAgent)) device = "iPad";
-        else if (/iPod/.test(userAgent)) device = "iPod";
-        else if (/iPhone/.test(userAgent)) device = "iPhone";
+    // Low-entropy hints merged with any high-entropy values loaded so far
+    getClientHints: function () {
+      const uaData = navigator.userAgentData;
+      if (!uaData || !uaData.platform) return null;
 
-        // Try to get iOS version
-        const match = userAgent.match(/OS (\d+[._]\d+[._]?\d*) like Mac OS X/i);
-        const version = match ? match[1].replace(/_/g, ".") : "";
+      return Object.assign(
+        {
+          brands: uaData.brands || [],
+          mobile: !!uaData.mobile,
+          platform: uaData.platform,
+        },
+        clientHints
+      );
+    },
 
-        if (version) return `${device} (iOS ${version})`;
-        return device;
-      }
+    // Summary of the detected device sent with every event
+    getDeviceSummary: function (data) {
+      const hints = this.getClientHints() || {};
+      return {
+        os: data.os.name,
+        osVersion: data.os.version || null,
+        browser: data.browser.name,
+        browserVersion: data.browser.version || null,
+        inAppBrowser: data.browser.inAppBrowser,
+        model: data.deviceModel,
+        vendor: data.deviceVendor,
+        name: data.deviceName,
+        architecture: hints.architecture || null,
+        bitness: hints.bitness || null,
+        mobile: data.os.mobile,
+        sources: {
+          os: data.os.source,
+          osVersion: data.os.versionSource,
+          browser: data.browser.source,
+          browserVersion: data.browser.versionSource,
+          model: data.deviceModelSource,
+        },
+      };
+    },
 
-      // For desktop browsers, we can't reliably get specific model info
-      // but we can return the platform
-      if (/Windows NT|Macintosh|Linux/i.test(userAgent)) {
-        return navigator.platform || "Desktop Device";
-      }
+    // Detect operating system
+    getOperatingSystem: function () {
+      return this.getDeviceDetails().os;
+    },
 
-      return "Unknown Device";
+    // Extract device model from client hints, else from the user agent
+    getDeviceModel: function () {
+      return this.getDeviceDetails().deviceModel;
     },
 
-    // Detect browser name and version - UPDATED for iOS browser detection
+    // Detect browser name and version
     getBrowserInfo: function () {
-      const userAgent = navigator.userAgent;
-      let browserName = "Unknown";
-      let browserVersion = "";
-      let actualBrowser = "Unknown"; // Track the actual browser application
-
-      // First detect the actual browser application (Chrome, Firefox, etc.)
-      if (/CriOS/i.test(userAgent)) {
-        actualBrowser = "Chrome";
-      } else if (/FxiOS/i.test(userAgent)) {
-        actualBrowser = "Firefox";
-      } else if (/EdgiOS/i.test(userAgent)) {
-        actualBrowser = "Edge";
-      } else if (/OPiOS/i.test(userAgent)) {
-        actualBrowser = "Opera";
-      }
-
-      // iOS specific handling - all browsers use WebKit on iOS
-      if (/iPad|iPhone|iPod/.test(userAgent) && !window.MSStream) {
-        // For iOS browsers, try to get the WebKit version
-        // CriOS = Chrome for iOS, FxiOS = Firefox for iOS, etc.
-        if (/CriOS/.test(userAgent)) {
-          browserName = "Chrome"; // Report as Chrome even though it uses WebKit
-          const match = userAgent.match(/CriOS\/(\d+(\.\d+)?)/i);
-          browserVersion = match ? match[1] : "";
-        } else if (/FxiOS/.test(userAgent)) {
-          browserName = "Firefox";
-          const match = userAgent.match(/FxiOS\/(\d+(\.\d+)?)/i);
-          browserVersion = match ? match[1] : "";
-        } else if (/EdgiOS/.test(userAgent)) {
-          browserName = "Edge";
-          const match = userAgent.match(/EdgiOS\/(\d+(\.\d+)?)/i);
-          browserVersion = match ? match[1] : "";
-        } else {
-          // Standard Safari
-          browserName = "Safari";
-          const match = userAgent.match(/Version\/(\d+(\.\d+)?)/i);
-          browserVersion = match ? match[1] : "";
-        }
-      }
-      // Non-iOS browser detection
-      else if (
-        /Chrome/.test(userAgent) &&
-        !/Chromium|Edge|Edg|OPR|Opera|brave/i.test(userAgent)
-      ) {
-        browserName = "Chrome";
-        const match = userAgent.match(/Chrome\/(\d+(\.\d+)?)/i);
-        browserVersion = match ? match[1] : "";
-      } else if (/Firefox/.test(userAgent) && !/Seamonkey/i.test(userAgent)) {
-        browserName = "Firefox";
-        const match = userAgent.match(/Firefox\/(\d+(\.\d+)?)/i);
-        browserVersion = match ? match[1] : "";
-      } else if (/Edg/.test(userAgent)) {
-        browserName = "Edge";
-        const match = userAgent.match(/Edg\/(\d+(\.\d+)?)/i);
-        browserVersion = match ? match[1] : "";
-      } else if (
-        /Safari/.test(userAgent) &&
-        !/Chrome|Chromium|Edge|Edg|OPR|Opera/i.test(userAgent)
-      ) {
-        browserName = "Safari";
-        const match = userAgent.match(/Version\/(\d+(\.\d+)?)/i);
-        browserVersion = match ? match[1] : "";
-      } else if (/MSIE|Trident/.test(userAgent)) {
-        browserName = "Internet Explorer";
-        const match = userAgent.match(/(?:MSIE |rv:)(\d+(\.\d+)?)/i);
-        browserVersion = match ? match[1] : "";
-      } else if (/OPR|Opera/.test(userAgent)) {
-        browserName = "Opera";
-        const match = userAgent.match(/(?:OPR|Opera)\/(\d+(\.\d+)?)/i);
-        browserVersion = match ? match[1] : "";
-      }
+      return this.getDeviceDetails().browser;
+    },
 
-      return {
-        name: browserName,
-        version: browserVersion,
-        actualBrowser: actualBrowser, // Store the actual browser app if relevant
-        userAgent: userAgent,
-        language: navigator.language || "Unknown",
-        cookieEnabled: navigator.cookieEnabled,
-      };
+    // Score automation signals once per page load
+    getBotAssessment: function () {
+      if (botAssessment) return botAssessment;
+
+      const screen = this.getScreenInfo();
+      botAssessment = detectBot({
+        userAgent: navigator.userAgent,
+        webdriver: navigator.webdriver === true,
+        languages: navigator.languages ? navigator.languages.length : undefined,
+        plugins: navigator.plugins ? navigator.plugins.length : undefined,
+        screenWidth: screen.width,
+        screenHeight: screen.height,
+        hasChromeObject: !!window.chrome,
+      });
+      return botAssessment;
+    },
+
+    // Whether botMode "suppress" applies to this visitor
+    isSuppressedBot: function () {
+      return (
+        this.config.botMode === "suppress" &&
+        this.getBotAssessment().botScore >= this.config.botThreshold
+      );
     },
 
     // Get screen and display information
@@ -500,7 +4454,7 @@
         let coreCount = self.getCookie("vt_cores");
         if (!coreCount) {
           coreCount = navigator.hardwareConcurrency || "Unknown";
-          self.setCookie("vt_cores", coreCount, 365);
+          self.setCookie("vt_cores", coreCount, self.config.hardwareCookieDays);
         }
         return coreCount;
       }
@@ -510,7 +4464,7 @@
         let memoryCount = self.getCookie("vt_mem");
         if (!memoryCount) {
           memoryCount = navigator.deviceMemory || "Unknown";
-          self.setCookie("vt_mem", memoryCount, 365);
+          self.setCookie("vt_mem", memoryCount, self.config.hardwareCookieDays);
         }
         return memoryCount;
       }
@@ -622,8 +4576,8 @@
         // Just use the stable canvas hash without any random components
         const fingerprint = Math.abs(hash).toString(36).substring(0, 8);
 
-        // Store in cookie (1 year)
-        this.setCookie("vt_fp", fingerprint, 365);
+        // Store in cookie
+        this.setCookie("vt_fp", fingerprint, this.config.fingerprintCookieDays);
 
         return fingerprint;
       } catch (e) {
@@ -634,125 +4588,517 @@
 
     // Creates a formatted string from visitor data (LEGACY - for backward compatibility)
     formatVisitorString: function (data) {
-      // Generate a more browser-specific identifier for iOS
-      let browserIdentifier = data.browser.name;
+      return formatLegacyFingerprint(
+        navigator.userAgent,
+        navigator.platform,
+        data
+      );
+    },
 
-      // For iOS, add clarity about actual browser app
-      if (data.os.name === "iOS" && data.browser.actualBrowser !== "Unknown") {
-        browserIdentifier = `${data.browser.actualBrowser}(WebKit)`;
-      }
-
-      // Return a pipe-delimited string of key attributes with MORE unique identifiers
-      return [
-        data.os.name,
-        browserIdentifier,
-        data.browser.version.split(".")[0] || "unknown", // Major version only
-        `${data.screen.width}x${data.screen.height}`,
-        `${data.hardware.cores}cores-${data.hardware.memory}GB`,
-        data.identifiers.canvasFingerprint,
-        data.deviceModel, // ADDED DEVICE MODEL!
-        (data.screen.pixelRatio || 1).toFixed(3), // Precise pixel ratio
-        data.identifiers.webGLRenderer
-          ? data.identifiers.webGLRenderer.substring(0, 20)
-          : "unknown-gpu", // GPU info!
-      ].join("|");
-    },
-
-    // NEW: Format stable fingerprint (only unchanging components)
-    formatStableFingerprint: function (data) {
-      // For iOS browsers, use actual browser if known
-      let browserIdentifier = data.browser.name;
+    // Browser name, naming the real app behind WebKit on iOS
+    getBrowserIdentifier: function (data) {
       if (data.os.name === "iOS" && data.browser.actualBrowser !== "Unknown") {
-        browserIdentifier = `${data.browser.actualBrowser}(WebKit)`;
+        return `${data.browser.actualBrowser}(WebKit)`;
       }
+      return data.browser.name;
+    },
+
+    // Raw fingerprint inputs, split into stable and variable components
+    getFingerprintComponents: function (data) {
+      return {
+        stable: {
+          os: data.os.name,
+          browser: this.getBrowserIdentifier(data),
+          deviceModel: data.deviceModel,
+          screen: `${data.screen.width}x${data.screen.height}`,
+          timezone: data.identifiers.timezone,
+          canvas: data.identifiers.canvasFingerprint,
+        },
+        variable: {
+          browserVersion: data.browser.version.split(".")[0] || "unknown",
+          cores: String(data.hardware.cores),
+          memory: String(data.hardware.memory),
+          gpu: data.identifiers.webGLRenderer || "unknown-gpu",
+        },
+      };
+    },
+
+    // Resolve to the versioned, hashed fingerprint fields of a payload
+    computeFingerprints: function (data) {
+      const components = this.getFingerprintComponents(data);
+      const groups = ["stable", "variable"];
+      const names = [];
+      const digests = [];
+
+      // One digest per component, then one per group over all its values
+      groups.forEach((group) => {
+        const values = components[group];
+        Object.keys(values).forEach((name) => {
+          names.push(name);
+          digests.push(this.sha256Hex(name + "=" + values[name]));
+        });
+        digests.push(
+          this.sha256Hex(
+            "v" +
+              FINGERPRINT_VERSION +
+              "|" +
+              Object.keys(values)
+                .map((name) => name + "=" + values[name])
+                .join("|")
+          )
+        );
+      });
+
+      return Promise.all(digests).then((hashes) => {
+        const componentHashes = {};
+        const stableCount = Object.keys(components.stable).length;
+        names.forEach((name, index) => {
+          // Group digests sit after each group's component digests
+          componentHashes[name] =
+            hashes[index < stableCount ? index : index + 1];
+        });
 
-      return [
-        data.os.name,
-        browserIdentifier,
-        data.deviceModel,
-        `${data.screen.width}x${data.screen.height}`,
-        data.identifiers.timezone,
-        data.identifiers.canvasFingerprint,
-      ].join("|");
+        return {
+          fingerprintVersion: FINGERPRINT_VERSION,
+          stableFingerprint: hashes[stableCount],
+          variableFingerprint: hashes[hashes.length - 1],
+          fingerprintComponents: componentHashes,
+        };
+      });
     },
 
-    // NEW: Format variable fingerprint (components that can change)
-    formatVariableFingerprint: function (data) {
-      return [
-        data.browser.version.split(".")[0] || "unknown",
-        `${data.hardware.cores}cores`,
-        `${data.hardware.memory}GB`,
-        data.identifiers.webGLRenderer
-          ? data.identifiers.webGLRenderer.substring(0, 20)
-          : "unknown-gpu",
-      ].join("|");
+    // Hex SHA-256 via SubtleCrypto, or the fallback on insecure origins
+    sha256Hex: function (text) {
+      if (digestCache[text]) return digestCache[text];
+
+      const subtle = window.crypto && window.crypto.subtle;
+      let digest;
+      if (subtle && window.TextEncoder) {
+        digest = subtle
+          .digest("SHA-256", new TextEncoder().encode(text))
+          .then((buffer) =>
+            Array.from(new Uint8Array(buffer))
+              .map((byte) => byte.toString(16).padStart(2, "0"))
+              .join("")
+          )
+          .catch(() => this.sha256Fallback(text));
+      } else {
+        digest = Promise.resolve(this.sha256Fallback(text));
+      }
+
+      digestCache[text] = digest;
+      return digest;
     },
 
-    // Send visitor data to server
-    sendToServer: function (visitorData, pageType, vendorId) {
-      // Generate all three fingerprints
-      const fingerPrint = this.formatVisitorString(visitorData); // Legacy format
-      const stableFingerprint = this.formatStableFingerprint(visitorData);
-      const variableFingerprint = this.formatVariableFingerprint(visitorData);
-      const sessionId = this.getOrCreateSessionId();
-
-      // Create the payload for the server with new fields
-      const payload = {
-        fingerPrint: fingerPrint, // Keep for backward compatibility
-        sessionId: sessionId, // NEW
-        stableFingerprint: stableFingerprint, // NEW
-        variableFingerprint: variableFingerprint, // NEW
-        page: pageType,
-        vendorId: vendorId,
-        websiteUrl: window.location.origin,
-        fullPageUrl: window.location.href,
-      };
-
-      // Send data via fetch API
-      fetch(TRACKING_API_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+    // Plain JavaScript SHA-256 for pages where SubtleCrypto is unavailable
+    sha256Fallback: function (text) {
+      const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+      const bytes = unescape(encodeURIComponent(text));
+      const hash = [];
+      const k = [];
+
+      // Fractional parts of the square / cube roots of the first 64 primes
+      for (let candidate = 2, found = 0; found < 64; candidate++) {
+        let prime = true;
+        for (let d = 2; d * d <= candidate; d++) {
+          if (candidate % d === 0) {
+            prime = false;
+            break;
+          }
+        }
+        if (!prime) continue;
+        if (found < 8)
+          hash[found] = (Math.pow(candidate, 1 / 2) * 4294967296) | 0;
+        k[found++] = (Math.pow(candidate, 1 / 3) * 4294967296) | 0;
+      }
+
+      // Pad to a multiple of 512 bits, ending with the message bit length
+      let message = bytes + "\x80";
+      while (message.length % 64 !== 56) message += "\x00";
+      const words = [];
+      for (let i = 0; i < message.length; i++) {
+        words[i >> 2] |= message.charCodeAt(i) << ((3 - (i % 4)) * 8);
+      }
+      words.push((bytes.length / 536870912) | 0, (bytes.length * 8) | 0);
+
+      for (let offset = 0; offset < words.length; offset += 16) {
+        const w = words.slice(offset, offset + 16);
+        const state = hash.slice(0);
+
+        for (let i = 0; i < 64; i++) {
+          if (i >= 16) {
+            const w15 = w[i - 15];
+            const w2 = w[i - 2];
+            const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+            const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+          }
+
+          const a = state[0];
+          const e = state[4];
+          const temp1 =
+            (state[7] +
+              (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) +
+              ((e & state[5]) ^ (~e & state[6])) +
+              k[i] +
+              w[i]) |
+            0;
+          const temp2 =
+            ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) +
+              ((a & state[1]) ^ (a & state[2]) ^ (state[1] & state[2]))) |
+            0;
+
+          // Shift the working variables: a = temp1 + temp2, e = d + temp1
+          state.unshift((temp1 + temp2) | 0);
+          state[4] = (state[4] + temp1) | 0;
+          state.pop();
+        }
+
+        for (let i = 0; i < 8; i++) {
+          hash[i] = (hash[i] + state[i]) | 0;
+        }
+      }
+
+      return hash
+        .map((value) => (value >>> 0).toString(16).padStart(8, "0"))
+        .join("");
+    },
+
+    // Build the fields shared by every event payload. Resolves once the
+    // fingerprint digests are ready.
+    buildPayload: function (visitorData, fields) {
+      const session = this.getSession();
+
+      const payload = Object.assign(
+        {
+          eventId: this.createEventId(),
+          timestamp: new Date().toISOString(),
+          visitorId: null,
+          visitorIdSource: null,
+          sessionId: session.id,
+          sessionSeq: session.sequence,
+          pageViewIndex: session.pageViewIndex,
+          vendorId: this.getVendorId(),
+          platform: this.getPlatform(),
+          websiteUrl: window.location.origin,
+          fullPageUrl: window.location.href,
+          pageViewId: currentPageViewId,
+          referrer: this.getReferrer() || null,
+          attribution: this.getAttribution(),
+          locale: this.getLocale(),
+          market: this.getMarket(),
+          customerId: null,
         },
-        body: JSON.stringify(payload),
-        credentials: "include", // Include cookies if needed
-      })
-        .then((response) => {
-          if (!response.ok) {
-            throw new Error("Network response was not ok");
+        fields
+      );
+
+      if (this.config.botMode !== "off") {
+        Object.assign(payload, this.getBotAssessment());
+      }
+
+      return Promise.all([this.loadClientHints(), this.restoreIdentity()])
+        .then(() => {
+          // IDs may only have survived in IndexedDB
+          payload.visitorId = this.getOrCreateVisitorId();
+          payload.visitorIdSource = visitorIdSource;
+          if (!payload.customerId) payload.customerId = this.getCustomerId();
+
+          // Hints may have arrived after the data was collected
+          Object.assign(visitorData, this.getDeviceDetails(visitorData));
+          payload.device = this.getDeviceSummary(visitorData);
+
+          // Keep the pipe-joined format for collectors that still match on it
+          if (this.config.legacyFingerprint) {
+            payload.fingerPrint = this.formatVisitorString(visitorData);
           }
-          return response.json();
+
+          return this.computeFingerprints(visitorData);
         })
-        .then((data) => {
-          console.log("Page visit tracked successfully");
+        .then((fingerprints) => Object.assign(payload, fingerprints));
+    },
+
+    // Unique ID so the server can drop events delivered twice
+    createEventId: function () {
+      return (
+        Date.now().toString(36) + "-" + Math.random().toString(36).substr(2, 9)
+      );
+    },
+
+    // Send visitor data to server
+    sendToServer: function (visitorData, pageType, vendorId, extraFields) {
+      // Count the page view in the current session
+      this.getSession({ pageView: true });
+
+      // Create the payload for the server
+      this.buildPayload(
+        visitorData,
+        Object.assign(
+          {
+            page: pageType,
+            vendorId: vendorId,
+            product: this.getProductContext(),
+          },
+          extraFields
+        )
+      )
+        .then((payload) => this.applyMiddleware(payload))
+        .then((payload) => {
+          if (!payload) return;
+
+          // Queue for batched delivery
+          this.enqueueEvent(payload);
+
+          this.debugLog("Page visit queued", {
+            visitorId: payload.visitorId,
+            sessionId: payload.sessionId,
+            fingerprintVersion: payload.fingerprintVersion,
+            stableFingerprint: payload.stableFingerprint,
+            variableFingerprint: payload.variableFingerprint,
+            pageType,
+            vendorId,
+          });
         })
         .catch((error) => {
-          console.error("Error sending tracking data:", error);
+          this.debugLog("Error building tracking event:", error);
         });
+    },
 
-      // Also log to console for debugging
-      console.log(
-        "%c Visitor Tracking Data ",
-        "background: #4834d4; color: white; padding: 2px 6px; border-radius: 2px; font-weight: bold;",
-        {
-          sessionId,
-          fingerPrint,
-          stableFingerprint,
-          variableFingerprint,
-          pageType,
-          vendorId,
+    // Restore persisted events and flush the queue when the page goes away
+    setupTransport: function () {
+      if (!queueRestored) {
+        queueRestored = true;
+        this.restoreQueue();
+      }
+
+      const self = this;
+      this.listen(window, "pagehide", function () {
+        self.flushOnUnload();
+      });
+      this.listen(document, "visibilitychange", function () {
+        if (document.visibilityState === "hidden") {
+          self.flushOnUnload();
+        }
+      });
+
+      if (eventQueue.length) {
+        this.scheduleFlush(0);
+      }
+    },
+
+    // Add an event to the queue and schedule delivery
+    enqueueEvent: function (payload, options) {
+      eventQueue.push({ payload: payload, attempts: 0 });
+      this.emit("queued", payload);
+      this.forwardToDestinations(payload);
+
+      // Drop the oldest events if the collector has been unreachable
+      if (eventQueue.length > this.config.maxQueueSize) {
+        eventQueue.splice(0, eventQueue.length - this.config.maxQueueSize);
+      }
+      this.persistQueue();
+
+      if (options && options.unload) {
+        // The page is going away, hand the queue to the browser now
+        this.flushOnUnload();
+      } else if (
+        (options && options.immediate) ||
+        eventQueue.length >= this.config.batchSize
+      ) {
+        this.flushQueue();
+      } else {
+        this.scheduleFlush(this.config.flushInterval);
+      }
+    },
+
+    // Schedule a flush unless one is already pending
+    scheduleFlush: function (delay) {
+      if (flushTimer) return;
+      const self = this;
+      flushTimer = setTimeout(function () {
+        flushTimer = null;
+        self.flushQueue();
+      }, delay);
+    },
+
+    // Send the next batch of queued events
+    flushQueue: function () {
+      if (inFlightIds.length || !eventQueue.length || !this.hasConsent()) {
+        return;
+      }
+
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+      }
+
+      const batch = eventQueue.slice(0, this.config.batchSize);
+      inFlightIds = batch.map((entry) => entry.payload.eventId);
+      batch.forEach((entry) => {
+        entry.attempts++;
+      });
+
+      const self = this;
+      this.sendBatch(batch)
+        .then(() => {
+          self.removeFromQueue(inFlightIds);
+          inFlightIds = [];
+          retryCount = 0;
+          self.debugLog("Tracking events delivered:", batch.length);
+          self.emit("sent", {
+            events: batch.map((entry) => entry.payload),
+          });
+
+          if (eventQueue.length) {
+            self.flushQueue();
+          }
+        })
+        .catch((error) => {
+          self.debugLog("Error sending tracking data:", error);
+          inFlightIds = [];
+          self.emit("failed", {
+            events: batch.map((entry) => entry.payload),
+            error: error,
+          });
+
+          // Give up on events that keep failing
+          eventQueue = eventQueue.filter(
+            (entry) => entry.attempts < self.config.maxRetries
+          );
+          self.persistQueue();
+
+          if (eventQueue.length) {
+            self.scheduleFlush(self.getRetryDelay(retryCount++));
+          }
+        });
+    },
+
+    // Exponential backoff with jitter
+    getRetryDelay: function (attempt) {
+      const delay = Math.min(
+        RETRY_BASE_DELAY * Math.pow(2, attempt),
+        RETRY_MAX_DELAY
+      );
+      return delay / 2 + Math.random() * (delay / 2);
+    },
+
+    // Wrap a batch in the envelope the collector expects
+    buildRequestBody: function (batch) {
+      if (batch.length === 1) {
+        return JSON.stringify(batch[0].payload);
+      }
+      return JSON.stringify({
+        events: batch.map((entry) => entry.payload),
+      });
+    },
+
+    // POST a batch to the collector
+    sendBatch: function (batch) {
+      return fetch(this.config.endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: this.buildRequestBody(batch),
+        credentials: "include", // Include cookies if needed
+        keepalive: true, // Survive navigation away from the page
+      }).then((response) => {
+        if (!response.ok) {
+          throw new Error("Network response was not ok");
+        }
+      });
+    },
+
+    // Hand everything still queued to the browser before the page unloads
+    flushOnUnload: function () {
+      if (!this.hasConsent()) return;
+
+      const pending = eventQueue.filter(
+        (entry) => inFlightIds.indexOf(entry.payload.eventId) === -1
+      );
+
+      for (let i = 0; i < pending.length; i += this.config.batchSize) {
+        const batch = pending.slice(i, i + this.config.batchSize);
+        if (this.beaconBatch(batch)) {
+          this.removeFromQueue(batch.map((entry) => entry.payload.eventId));
+          this.emit("sent", { events: batch.map((entry) => entry.payload) });
+        }
+      }
+    },
+
+    // Send a batch with sendBeacon, falling back to fetch keepalive
+    beaconBatch: function (batch) {
+      const body = this.buildRequestBody(batch);
+
+      try {
+        if (
+          navigator.sendBeacon &&
+          navigator.sendBeacon(
+            this.config.endpoint,
+            new Blob([body], { type: "application/json" })
+          )
+        ) {
+          return true;
         }
+      } catch (e) {
+        // Some browsers reject non-form content types, try fetch instead
+      }
+
+      try {
+        fetch(this.config.endpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: body,
+          credentials: "include",
+          keepalive: true,
+        }).catch(() => {});
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    // Remove delivered events from the queue
+    removeFromQueue: function (eventIds) {
+      eventQueue = eventQueue.filter(
+        (entry) => eventIds.indexOf(entry.payload.eventId) === -1
       );
+      this.persistQueue();
+    },
+
+    // Save undelivered events so they survive a page load
+    persistQueue: function () {
+      if (!this.hasConsent()) return;
+
+      try {
+        if (eventQueue.length) {
+          localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(eventQueue));
+        } else {
+          localStorage.removeItem(QUEUE_STORAGE_KEY);
+        }
+      } catch (e) {
+        // Storage unavailable or full, keep the in-memory queue only
+      }
+    },
+
+    // Load events left over from previous page loads
+    restoreQueue: function () {
+      try {
+        const stored = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY));
+        if (Array.isArray(stored)) {
+          eventQueue = stored.concat(eventQueue);
+        }
+      } catch (e) {
+        // Ignore corrupt or inaccessible storage
+      }
     },
   };
 
-  // Initialize tracking when the script loads
-  window.visitorTracker.init();
+  window.visitorTracker.loadConfig();
 
-  // Also track on page visibility changes to catch returns from other tabs
-  document.addEventListener("visibilitychange", function () {
-    if (document.visibilityState === "visible") {
-      window.visitorTracker.init();
-    }
-  });
+  // Initialize tracking when the script loads, unless autostart is disabled
+  if (window.visitorTracker.config.autostart) {
+    window.visitorTracker.start();
+  }
 })();
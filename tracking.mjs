@@ -0,0 +1,11 @@
+// ES module entry for the parsers tracking.js exports to Node
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+export const {
+  parseUserAgent,
+  resolveDevice,
+  detectBot,
+  formatLegacyFingerprint,
+} = require("./tracking.js");